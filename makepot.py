@@ -0,0 +1,150 @@
+#!/usr/bin/env python3
+"""Extracts the translatable strings of the applet into po/<uuid>.pot, and installs translations.
+
+    ./makepot.py            Update the template from applet.js, settings-schema.json and metadata.json
+    ./makepot.py --install  Compile po/*.po (needs msgfmt) into ~/.local/share/locale
+
+Strings are found in applet.js as _("...") and ngettext("...", "...", n), and in the settings
+schema as descriptions, tooltips, titles, units and option labels, which Cinnamon translates
+with the applet's catalog too. Translators copy the template to po/<language>.po.
+"""
+
+import json
+import os
+import re
+import subprocess
+import sys
+from datetime import datetime, timezone
+
+ROOT = os.path.dirname(os.path.abspath(__file__))
+UUID = "quicksettings@luciotorelli"
+APPLET_DIR = os.path.join(ROOT, UUID)
+PO_DIR = os.path.join(APPLET_DIR, "po")
+LOCALE_DIR = os.path.expanduser("~/.local/share/locale")
+
+STRING = r'"((?:[^"\\\n]|\\.)*)"'
+GETTEXT_CALL = re.compile(r'(?<![\w$.])_\(\s*' + STRING + r'\s*\)')
+NGETTEXT_CALL = re.compile(r'(?<![\w$.])ngettext\(\s*' + STRING + r'\s*,\s*' + STRING + r'\s*,')
+SCHEMA_KEYS = ("description", "tooltip", "title", "units")
+
+
+def unescape(text):
+    return json.loads('"' + text + '"')
+
+
+def escape(text):
+    return text.replace("\\", "\\\\").replace('"', '\\"').replace("\n", "\\n")
+
+
+class Catalog:
+    def __init__(self):
+        self.entries = {}  # (msgid, msgid_plural) -> list of references
+
+    def add(self, reference, msgid, plural=None):
+        if msgid:
+            self.entries.setdefault((msgid, plural), []).append(reference)
+
+    def write(self, path):
+        now = datetime.now(timezone.utc).strftime("%Y-%m-%d %H:%M+0000")
+        lines = [
+            f"# Translations of the {UUID} Cinnamon applet.",
+            "#",
+            "#, fuzzy",
+            'msgid ""',
+            'msgstr ""',
+            f'"Project-Id-Version: {UUID}\\n"',
+            f'"POT-Creation-Date: {now}\\n"',
+            '"PO-Revision-Date: YEAR-MO-DA HO:MI+ZONE\\n"',
+            '"Last-Translator: FULL NAME <EMAIL@ADDRESS>\\n"',
+            '"Language-Team: LANGUAGE <LL@li.org>\\n"',
+            '"Language: \\n"',
+            '"MIME-Version: 1.0\\n"',
+            '"Content-Type: text/plain; charset=UTF-8\\n"',
+            '"Content-Transfer-Encoding: 8bit\\n"',
+            '"Plural-Forms: nplurals=INTEGER; plural=EXPRESSION;\\n"',
+            "",
+        ]
+        for (msgid, plural), references in self.entries.items():
+            lines.append("#: " + " ".join(references))
+            if re.search(r"%[sd]", msgid + (plural or "")):
+                lines.append("#, javascript-format")
+            lines.append(f'msgid "{escape(msgid)}"')
+            if plural is None:
+                lines.append('msgstr ""')
+            else:
+                lines.append(f'msgid_plural "{escape(plural)}"')
+                lines.append('msgstr[0] ""')
+                lines.append('msgstr[1] ""')
+            lines.append("")
+        with open(path, "w", encoding="utf-8") as f:
+            f.write("\n".join(lines))
+
+
+def extract_script(catalog, name):
+    with open(os.path.join(APPLET_DIR, name), encoding="utf-8") as f:
+        source = f.read()
+    matches = [(m.start(), unescape(m.group(1)), None) for m in GETTEXT_CALL.finditer(source)]
+    matches += [(m.start(), unescape(m.group(1)), unescape(m.group(2))) for m in NGETTEXT_CALL.finditer(source)]
+    for offset, msgid, plural in sorted(matches):
+        line = source.count("\n", 0, offset) + 1
+        catalog.add(f"{name}:{line}", msgid, plural)
+
+
+def extract_settings(catalog, name):
+    with open(os.path.join(APPLET_DIR, name), encoding="utf-8") as f:
+        settings = json.load(f)
+
+    def walk(node, reference):
+        if isinstance(node, dict):
+            for key, value in node.items():
+                if key in SCHEMA_KEYS and isinstance(value, str):
+                    catalog.add(reference, value)
+                elif key == "options" and isinstance(value, dict):
+                    for label in value:
+                        catalog.add(reference, label)
+                elif key != "default":
+                    walk(value, reference)
+        elif isinstance(node, list):
+            for item in node:
+                walk(item, reference)
+
+    for key, value in settings.items():
+        walk(value, f"{name}->{key}")
+
+
+def extract_metadata(catalog, name):
+    with open(os.path.join(APPLET_DIR, name), encoding="utf-8") as f:
+        metadata = json.load(f)
+    for key in ("name", "description"):
+        catalog.add(f"{name}->{key}", metadata.get(key))
+
+
+def make_pot():
+    catalog = Catalog()
+    extract_script(catalog, "applet.js")
+    extract_settings(catalog, "settings-schema.json")
+    extract_metadata(catalog, "metadata.json")
+    os.makedirs(PO_DIR, exist_ok=True)
+    path = os.path.join(PO_DIR, f"{UUID}.pot")
+    catalog.write(path)
+    print(f"Wrote {len(catalog.entries)} strings to {os.path.relpath(path, ROOT)}")
+
+
+def install():
+    for name in sorted(os.listdir(PO_DIR)):
+        if not name.endswith(".po"):
+            continue
+        language = name[:-3]
+        target = os.path.join(LOCALE_DIR, language, "LC_MESSAGES")
+        os.makedirs(target, exist_ok=True)
+        subprocess.run(["msgfmt", "-c", "-o", os.path.join(target, f"{UUID}.mo"), os.path.join(PO_DIR, name)], check=True)
+        print(f"Installed {language}")
+
+
+if __name__ == "__main__":
+    if sys.argv[1:] == ["--install"]:
+        install()
+    elif sys.argv[1:]:
+        sys.exit(__doc__)
+    else:
+        make_pot()
@@ -1,629 +1,6988 @@
 const Applet = imports.ui.applet;
-const Lang = imports.lang;
 const St = imports.gi.St;
 const Main = imports.ui.main;
 const PopupMenu = imports.ui.popupMenu;
 const Util = imports.misc.util;  
 const ModalDialog = imports.ui.modalDialog; 
+const Settings = imports.ui.settings;
+const Tooltips = imports.ui.tooltips;
 const Clutter = imports.gi.Clutter;
+const Atk = imports.gi.Atk;
+const Cvc = imports.gi.Cvc;
+const NM = imports.gi.NM;
+let GUdev = null;
+try {
+    GUdev = imports.gi.GUdev;
+} catch (e) {
+    // Without GUdev, displays are only re-detected with the "Refresh Displays" button
+}
 const GLib = imports.gi.GLib;
+const Gio = imports.gi.Gio;
 const ByteArray = imports.byteArray;
+const Gettext = imports.gettext;
+
+// Translations are looked up in the applet's own catalog; bound before the constants below use it
+const UUID = "quicksettings@luciotorelli";
+Gettext.bindtextdomain(UUID, GLib.get_home_dir() + "/.local/share/locale");
+
+/**
+ * Translates a string with the applet's catalog, falling back to Cinnamon's own translations.
+ *
+ * @param {string} str - The English string.
+ * @returns {string} The translated string.
+ */
+function _(str) {
+    const translated = Gettext.dgettext(UUID, str);
+    return translated !== str ? translated : Gettext.gettext(str);
+}
+
+/**
+ * Translates a string that depends on a count, e.g. "%d seconds", with the applet's catalog.
+ *
+ * @param {string} singular - The English string for a count of one.
+ * @param {string} plural - The English string for other counts.
+ * @param {number} n - The count, which picks the plural form of the user's language.
+ * @returns {string} The translated string; the count still has to be filled in.
+ */
+function ngettext(singular, plural, n) {
+    return Gettext.dngettext(UUID, singular, plural, n);
+}
+
+const DEFAULT_TOOLTIP = _("Quick Settings");
+const COMMAND_TIMEOUT = 10000; // Milliseconds before an external command is considered hung
+const DDCUTIL_DETECT_TIMEOUT = 30000; // Probing every I2C bus takes a while
+const DDC_MAX_RETRIES = 3; // Retries of a ddcutil command after a transient DDC/CI error
+const DDC_RETRY_DELAY = 250; // Milliseconds before the first retry, doubled for each further one
+const HOTPLUG_DELAY = 2000; // Milliseconds to let a newly plugged display settle before probing DDC/CI
+const DDC_REFRESH_INTERVAL = 5000; // Milliseconds between re-reads of the monitors while the menu is open
+const MENU_REBUILD_DELAY = 1000; // Milliseconds to wait for more device changes before redrawing a list
+const BLUETOOTH_DISCOVERY_TIMEOUT = 30000; // Milliseconds to search for new Bluetooth devices
+// Timers stand still while the system is suspended, so timed states also check the clock this often
+const CLOCK_CHECK_INTERVAL = 60000;
+const SLIDER_PAGE_STEP = 0.25; // Slider move on Page Up and Page Down; Left and Right move it by 0.1
+// Overridable so the rfkill state can be read from a recorded tree, or from `rfkill list` if it does not exist
+const RFKILL_ROOT = GLib.getenv("QUICKSETTINGS_RFKILL_ROOT") || "/sys/class/rfkill";
+const RFKILL_TYPE_NAMES = { // `rfkill list` names -> sysfs types
+    "Wireless LAN": "wlan",
+    "Bluetooth": "bluetooth",
+    "Wireless WAN": "wwan",
+    "WiMAX": "wimax",
+    "GPS": "gps",
+    "FM": "fm",
+    "NFC": "nfc",
+    "Ultra-Wideband": "uwb",
+};
+const AIRPLANE_MODE_RADIOS = ["wlan", "bluetooth", "wwan"];
+// Modifier keys that can be held while scrolling to change the volume instead of the brightness
+const SCROLL_MODIFIERS = {
+    "ctrl": Clutter.ModifierType.CONTROL_MASK,
+    "shift": Clutter.ModifierType.SHIFT_MASK,
+    "alt": Clutter.ModifierType.MOD1_MASK,
+    "super": Clutter.ModifierType.MOD4_MASK,
+};
+const PANEL_INDICATORS = [ // Applet setting -> indicator, in the order they are shown on the panel
+    ["panel-show-battery", "battery"],
+    ["panel-show-wifi", "wifi"],
+    ["panel-show-bluetooth", "bluetooth"],
+    ["panel-show-night-light", "night-light"],
+    ["panel-show-do-not-disturb", "do-not-disturb"],
+];
+// Menu sections that can be shown, hidden and reordered in the applet settings, in their default
+// order. `create(applet)` returns the object that adds the section with `addToMenu(menu)`, and
+// optionally has a `detach()` method called before the menu is cleared. A new section also needs
+// its label and id in the options of the "sections" setting in settings-schema.json.
+const SECTION_MODULES = [
+    { id: "toggles", label: _("Toggle row (Wi-Fi, Bluetooth, Night Light, Do Not Disturb…)"), create: (applet) => applet.toggleRow },
+    { id: "wifi", label: _("Wi-Fi networks"), create: (applet) => applet.wifi },
+    { id: "network", label: _("Network connections (wired, VPN, hotspot)"), create: (applet) => applet.network },
+    { id: "bluetooth", label: _("Bluetooth devices"), create: (applet) => applet.bluetooth },
+    { id: "night-light", label: _("Night light temperature"), create: (applet) => applet.nightLight },
+    { id: "battery", label: _("Battery and power mode"), create: (applet) => applet.battery },
+    { id: "audio", label: _("Volume"), create: (applet) => applet.audio },
+    { id: "displays", label: _("Display brightness"), create: (applet) => applet.displaySection },
+    { id: "profiles", label: _("Profiles"), create: (applet) => applet.profiles },
+    { id: "power", label: _("Power actions"), create: (applet) => applet.power },
+];
+const SECTIONS = SECTION_MODULES.map((module) => module.id);
+const KEYBINDINGS = [ // Applet setting -> action, see QuickSettingsApplet._runKeybinding()
+    ["keybinding-brightness-up", "brightness-up"],
+    ["keybinding-brightness-down", "brightness-down"],
+    ["keybinding-contrast-up", "contrast-up"],
+    ["keybinding-contrast-down", "contrast-down"],
+    ["keybinding-toggle-wifi", "toggle-wifi"],
+    ["keybinding-toggle-bluetooth", "toggle-bluetooth"],
+    ["keybinding-toggle-night-light", "toggle-night-light"],
+    ["keybinding-open-menu", "open-menu"],
+];
+const DEFAULT_PROFILES = [_("Day"), _("Evening"), _("Presentation")]; // Offered until the profiles file is written
+const DEFAULT_BACKLIGHT_ROOT = "/sys/class/backlight";
+// The backlight root can be pointed at a fake sysfs tree through the environment
+const BACKLIGHT_ROOT = GLib.getenv("QUICKSETTINGS_BACKLIGHT_ROOT") || DEFAULT_BACKLIGHT_ROOT;
+// Preferred backlight interfaces first, same order as logind and the settings daemon use
+const BACKLIGHT_TYPE_PRIORITY = ["firmware", "platform", "raw"];
+const POWER_SUPPLY_ROOT = "/sys/class/power_supply";
+
+const UPOWER_BUS_NAME = "org.freedesktop.UPower";
+const UPOWER_PATH = "/org/freedesktop/UPower";
+const UPOWER_DISPLAY_DEVICE_PATH = "/org/freedesktop/UPower/devices/DisplayDevice";
+const POWER_PROFILES_BUS_NAME = "net.hadess.PowerProfiles";
+const POWER_PROFILES_PATH = "/net/hadess/PowerProfiles";
+const LOGIND_BUS_NAME = "org.freedesktop.login1";
+const LOGIND_PATH = "/org/freedesktop/login1";
+const LOGIND_MANAGER_INTERFACE = "org.freedesktop.login1.Manager";
+const SESSION_MANAGER_BUS_NAME = "org.gnome.SessionManager";
+const SESSION_MANAGER_PATH = "/org/gnome/SessionManager";
+const SESSION_MANAGER_INTERFACE = "org.gnome.SessionManager";
+const SESSION_INHIBITOR_INTERFACE = "org.gnome.SessionManager.Inhibitor";
+const SESSION_INHIBIT_SUSPEND = 4; // org.gnome.SessionManager.Inhibit() flags
+const SESSION_INHIBIT_IDLE = 8;
+const BLUEZ_BUS_NAME = "org.bluez";
+const BLUEZ_ADAPTER_INTERFACE = "org.bluez.Adapter1";
+const BLUEZ_DEVICE_INTERFACE = "org.bluez.Device1";
+const BLUEZ_BATTERY_INTERFACE = "org.bluez.Battery1";
+const NIGHT_LIGHT_SCHEMA = "org.cinnamon.settings-daemon.plugins.color";
+const NIGHT_LIGHT_MIN_TEMPERATURE = 1700;
+const NIGHT_LIGHT_MAX_TEMPERATURE = 4700;
+const NOTIFICATIONS_SCHEMA = "org.cinnamon.desktop.notifications";
+
+const UPowerInterface = `<node>
+  <interface name="org.freedesktop.UPower">
+    <method name="EnumerateDevices">
+      <arg type="ao" name="devices" direction="out"/>
+    </method>
+    <signal name="DeviceAdded">
+      <arg type="o" name="device"/>
+    </signal>
+    <signal name="DeviceRemoved">
+      <arg type="o" name="device"/>
+    </signal>
+  </interface>
+</node>`;
+
+const UPowerDeviceInterface = `<node>
+  <interface name="org.freedesktop.UPower.Device">
+    <property name="Type" type="u" access="read"/>
+    <property name="Model" type="s" access="read"/>
+    <property name="PowerSupply" type="b" access="read"/>
+    <property name="IsPresent" type="b" access="read"/>
+    <property name="Percentage" type="d" access="read"/>
+    <property name="State" type="u" access="read"/>
+    <property name="TimeToEmpty" type="x" access="read"/>
+    <property name="TimeToFull" type="x" access="read"/>
+    <property name="IconName" type="s" access="read"/>
+  </interface>
+</node>`;
 
-const DEFAULT_TOOLTIP = "Quick Settings";
-const BRIGHTNESS_ADJUSTMENT_STEP = 5; 
+const PowerProfilesInterface = `<node>
+  <interface name="net.hadess.PowerProfiles">
+    <property name="ActiveProfile" type="s" access="readwrite"/>
+    <property name="Profiles" type="aa{sv}" access="read"/>
+  </interface>
+</node>`;
+
+const UPowerProxy = Gio.DBusProxy.makeProxyWrapper(UPowerInterface);
+const UPowerDeviceProxy = Gio.DBusProxy.makeProxyWrapper(UPowerDeviceInterface);
+const PowerProfilesProxy = Gio.DBusProxy.makeProxyWrapper(PowerProfilesInterface);
+
+// Subset of UPower's UpDeviceKind and UpDeviceState enums
+const UPowerDeviceKind = {
+    LINE_POWER: 1,
+    BATTERY: 2,
+    UPS: 3,
+    MOUSE: 5,
+    KEYBOARD: 6,
+    PHONE: 8,
+    TABLET: 10,
+    GAMING_INPUT: 12,
+    PEN: 13,
+    TOUCHPAD: 14,
+    HEADSET: 17,
+    SPEAKERS: 18,
+    HEADPHONES: 19,
+};
+
+const UPowerDeviceState = {
+    UNKNOWN: 0,
+    CHARGING: 1,
+    DISCHARGING: 2,
+    EMPTY: 3,
+    FULLY_CHARGED: 4,
+    PENDING_CHARGE: 5,
+    PENDING_DISCHARGE: 6,
+};
+
+const BATTERY_STATE_NAMES = {
+    [UPowerDeviceState.CHARGING]: _("Charging"),
+    [UPowerDeviceState.DISCHARGING]: _("Discharging"),
+    [UPowerDeviceState.EMPTY]: _("Empty"),
+    [UPowerDeviceState.FULLY_CHARGED]: _("Fully charged"),
+    [UPowerDeviceState.PENDING_CHARGE]: _("Not charging"),
+    [UPowerDeviceState.PENDING_DISCHARGE]: _("Not charging"),
+};
+
+// Fallback names for peripherals that do not report a model
+const PERIPHERAL_NAMES = {
+    [UPowerDeviceKind.UPS]: _("UPS"),
+    [UPowerDeviceKind.MOUSE]: _("Mouse"),
+    [UPowerDeviceKind.KEYBOARD]: _("Keyboard"),
+    [UPowerDeviceKind.PHONE]: _("Phone"),
+    [UPowerDeviceKind.TABLET]: _("Tablet"),
+    [UPowerDeviceKind.GAMING_INPUT]: _("Game controller"),
+    [UPowerDeviceKind.PEN]: _("Pen"),
+    [UPowerDeviceKind.TOUCHPAD]: _("Touchpad"),
+    [UPowerDeviceKind.HEADSET]: _("Headset"),
+    [UPowerDeviceKind.SPEAKERS]: _("Speakers"),
+    [UPowerDeviceKind.HEADPHONES]: _("Headphones"),
+};
+
+const POWER_PROFILES = ["power-saver", "balanced", "performance"];
+const POWER_PROFILE_NAMES = {
+    "power-saver": _("Power Saver"),
+    "balanced": _("Balanced"),
+    "performance": _("Performance"),
+};
+
+// Session actions in the order they appear in the power row
+const POWER_ACTIONS = [
+    {
+        id: "lock",
+        label: _("Lock Screen"),
+        iconName: "system-lock-screen-symbolic",
+    },
+    {
+        id: "logout",
+        label: _("Log Out"),
+        iconName: "system-log-out-symbolic",
+        countdownMessage: (seconds) => ngettext("You will be logged out automatically in %d second.",
+            "You will be logged out automatically in %d seconds.", seconds),
+    },
+    {
+        id: "suspend",
+        label: _("Suspend"),
+        iconName: "media-playback-pause-symbolic",
+        logindMethod: "Suspend",
+        countdownMessage: (seconds) => ngettext("The system will suspend automatically in %d second.",
+            "The system will suspend automatically in %d seconds.", seconds),
+    },
+    {
+        id: "hibernate",
+        label: _("Hibernate"),
+        iconName: "document-save-symbolic",
+        logindMethod: "Hibernate",
+        countdownMessage: (seconds) => ngettext("The system will hibernate automatically in %d second.",
+            "The system will hibernate automatically in %d seconds.", seconds),
+    },
+    {
+        id: "restart",
+        label: _("Restart"),
+        iconName: "view-refresh-symbolic",
+        logindMethod: "Reboot",
+        countdownMessage: (seconds) => ngettext("The system will restart automatically in %d second.",
+            "The system will restart automatically in %d seconds.", seconds),
+    },
+    {
+        id: "shutdown",
+        label: _("Shut Down"),
+        iconName: "system-shutdown-symbolic",
+        logindMethod: "PowerOff",
+        countdownMessage: (seconds) => ngettext("The system will shut down automatically in %d second.",
+            "The system will shut down automatically in %d seconds.", seconds),
+    },
+];
 
 /**
- * Monitor class represents an external display and handles brightness and contrast control.
+ * CommandError is raised when a command run through the CommandRunner fails, times out or is
+ * cancelled.
+ *
+ * @extends Error
  */
-class Monitor {
+class CommandError extends Error {
     /**
-     * Constructor to initialize a Monitor object.
+     * Constructor to initialize a CommandError object.
      *
-     * @param {number} index - The index of the monitor in the system.
-     * @param {string} name - The name of the monitor.
-     * @param {number} bus - The I2C bus number used by the monitor.
+     * @param {string} message - The error message.
+     * @param {object} [result] - The command result (`stdout`, `stderr`, `exitCode`) if it exited.
      */
-    constructor(index, name, bus) {
-        this.index = index;
-        this.name = name;
-        this.brightness = 50;
-        this.contrast = 50;
-        this.bus = bus;
-        this.menuLabel = null;
-        this.menuSlider = null;
-        this.promises = Promise.resolve(); // Sequential execution of brightness/contrast commands
+    constructor(message, result = null) {
+        super(message);
+        this.name = "CommandError";
+        this.result = result;
     }
+}
 
+/**
+ * CommandRunner runs external commands without blocking the Cinnamon shell. Every command has a
+ * timeout and can be cancelled, and tests can replace the real processes with fake results.
+ */
+class CommandRunner {
     /**
-     * Fetches the current brightness value from the monitor and updates the menu.
-     * 
-     * @returns {Promise} A promise that resolves when the brightness is updated.
+     * Constructor to initialize a CommandRunner object. Recorded results are loaded from the
+     * JSON file named by `QUICKSETTINGS_FAKE_COMMANDS`, if set.
      */
-    updateBrightness() {
-        return new Promise((resolve) => {
-            const cmd = `ddcutil --bus=${this.bus} getvcp 10`; // Command to get monitor brightness
-            Util.spawnCommandLineAsyncIO(cmd, (stdout, stderr, exitCode) => {
-                setTimeout(resolve, 10);
-                if (exitCode === 0) {
-                    const matchRes = stdout.match(/current value =\s*(\d+)/);
-                    if (matchRes && matchRes[1]) {
-                        this.brightness = parseInt(matchRes[1], 10);
-                        this.updateMenu(); // Update UI with new brightness value
+    constructor() {
+        this.cancellable = new Gio.Cancellable();
+        this.fake = null;
+
+        const fakePath = GLib.getenv("QUICKSETTINGS_FAKE_COMMANDS");
+        if (fakePath) {
+            try {
+                const [, contents] = GLib.file_get_contents(fakePath);
+                const recorded = JSON.parse(ByteArray.toString(contents));
+                // Commands missing from the recording fail like a missing binary would
+                this.setFake((argv) => recorded[argv.join(" ")] || { stdout: "", stderr: `${argv[0]}: not recorded`, exitCode: 127 });
+            } catch (e) {
+                global.logError(`Failed to load fake command results from ${fakePath}: ${e}`);
+            }
+        }
+    }
+
+    /**
+     * Replaces real processes with a handler that produces the results, for tests.
+     *
+     * @param {function|null} handler - Called with the argv array; returns (or resolves with) an
+     * object with `stdout`, `stderr` and `exitCode`. Pass null to run real processes again.
+     */
+    setFake(handler) {
+        this.fake = handler;
+    }
+
+    /**
+     * Runs a command and collects its output.
+     *
+     * @param {string|Array<string>} command - The command line, or an argv array.
+     * @param {object} [options] - Options.
+     * @param {number} [options.timeout=COMMAND_TIMEOUT] - Milliseconds after which the process is killed.
+     * @param {Gio.Cancellable} [options.cancellable] - Cancels the command, in addition to `cancelAll()`.
+     * @returns {Promise<object>} A promise that resolves with `stdout`, `stderr` and `exitCode`, or
+     * rejects with a CommandError if the command cannot be started, times out or is cancelled.
+     */
+    run(command, { timeout = COMMAND_TIMEOUT, cancellable = null } = {}) {
+        let argv;
+        try {
+            argv = Array.isArray(command) ? command : GLib.shell_parse_argv(command)[1];
+        } catch (e) {
+            return Promise.reject(new CommandError(`Invalid command "${command}": ${e.message}`));
+        }
+
+        if (this.fake) {
+            return new Promise((resolve) => resolve(this.fake(argv)));
+        }
+
+        return new Promise((resolve, reject) => {
+            let proc;
+            try {
+                proc = Gio.Subprocess.new(argv, Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE);
+            } catch (e) {
+                reject(new CommandError(`Failed to run "${argv.join(" ")}": ${e.message}`));
+                return;
+            }
+
+            let reason = null;
+            const stop = (why) => {
+                reason = why;
+                proc.force_exit();
+            };
+            const timeoutID = setTimeout(() => stop("timed out"), timeout);
+            const cancelIDs = [this.cancellable, cancellable].filter((c) => c !== null).map((c) => {
+                return [c, c.connect("cancelled", () => stop("cancelled"))];
+            });
+
+            proc.communicate_utf8_async(null, null, (p, result) => {
+                clearTimeout(timeoutID);
+                cancelIDs.forEach(([c, id]) => c.disconnect(id));
+                try {
+                    const [, stdout, stderr] = p.communicate_utf8_finish(result);
+                    if (reason) {
+                        reject(new CommandError(`"${argv.join(" ")}" ${reason}`));
+                        return;
                     }
-                } else {
-                    global.logError(`cmd: "${cmd}" returned exit code ${exitCode}`);
-                    global.logError(stderr);
+                    resolve({
+                        stdout: stdout || "",
+                        stderr: stderr || "",
+                        exitCode: p.get_if_exited() ? p.get_exit_status() : -1,
+                    });
+                } catch (e) {
+                    reject(new CommandError(`"${argv.join(" ")}" failed: ${e.message}`));
                 }
             });
         });
     }
 
     /**
-     * Fetches the current contrast value from the monitor and updates the menu.
-     * 
-     * @returns {Promise} A promise that resolves when the contrast is updated.
+     * Runs a command and treats a non-zero exit code as a failure.
+     *
+     * @param {string|Array<string>} command - The command line, or an argv array.
+     * @param {object} [options] - The same options as `run()`.
+     * @returns {Promise<string>} A promise that resolves with stdout, or rejects with a CommandError.
      */
-    updateContrast() {
-        return new Promise((resolve) => {
-            const cmd = `ddcutil --bus=${this.bus} getvcp 12`; // Command to get monitor contrast
-            Util.spawnCommandLineAsyncIO(cmd, (stdout, stderr, exitCode) => {
-                setTimeout(resolve, 10);
-                if (exitCode === 0) {
-                    const matchRes = stdout.match(/current value =\s*(\d+)/);
-                    if (matchRes && matchRes[1]) {
-                        this.contrast = parseInt(matchRes[1], 10);
-                        this.updateMenu(); // Update UI with new contrast value
-                    }
-                } else {
-                    global.logError(`cmd: "${cmd}" returned exit code ${exitCode}`);
-                    global.logError(stderr);
-                }
-            });
+    check(command, options) {
+        return this.run(command, options).then((result) => {
+            if (result.exitCode !== 0) {
+                const name = Array.isArray(command) ? command.join(" ") : command;
+                throw new CommandError(`"${name}" returned exit code ${result.exitCode}: ${result.stderr.trim()}`, result);
+            }
+            return result.stdout;
         });
     }
 
     /**
-     * Updates the label in the UI to reflect the current brightness value.
+     * Cancels every command still running, e.g. when the applet is removed.
      */
-    updateLabel() {
-        if (this.menuLabel) {
-            this.menuLabel.setLabel(`${this.name}  (${this.brightness}%)`);
-        }
+    cancelAll() {
+        this.cancellable.cancel();
+        this.cancellable = new Gio.Cancellable();
     }
+}
 
+// Shared by every feature of the applet
+const commandRunner = new CommandRunner();
+
+/**
+ * DdcScheduler runs ddcutil commands. DDC/CI cannot handle overlapping requests on one I2C bus,
+ * so the commands for a bus run one at a time, while different buses run in parallel. A write
+ * still waiting in the queue is replaced by a newer write of the same feature, transient DDC
+ * errors are retried with backoff, and a failed command does not hold up the ones after it.
+ * `ddcutil detect` probes every bus, so it waits for the running commands and holds up all queues.
+ *
+ * The ddcutil binary can be replaced with a fake script through `QUICKSETTINGS_DDCUTIL`.
+ */
+class DdcScheduler {
     /**
-     * Updates the monitor's menu with the current brightness and contrast values.
+     * Constructor to initialize a DdcScheduler object.
      */
-    updateMenu() {
-        this.updateLabel(); // Update label for brightness
-        if (this.menuSlider) {
-            this.menuSlider.setValue(this.brightness / 100); // Set slider to current brightness value
-        }
+    constructor() {
+        this.binary = GLib.getenv("QUICKSETTINGS_DDCUTIL") || "ddcutil";
+        this.sleepMultiplier = 1;
+        this.queues = new Map(); // Bus number -> { running, tasks }
+        this.paused = false; // A detection owns every bus
+        this.detection = Promise.resolve(); // The last detection, so detections never overlap
     }
 
     /**
-     * Sets the brightness value for the monitor and updates the UI. Sends the new value to the monitor.
-     * 
-     * @param {number} value - The new brightness value to set.
+     * Sets ddcutil's `--sleep-multiplier`, which scales the delays DDC/CI requires between
+     * requests. Slow displays need more than 1, many work with less.
+     *
+     * @param {number} multiplier - The multiplier.
      */
-    setBrightness(value) {
-        this.brightness = Math.round(value);
-        this.updateMenu(); // Reflect the change in the UI
-        this.promises = this.promises.then(() => {
-            return new Promise((resolve, reject) => {
-                Util.spawnCommandLineAsync(
-                    `ddcutil --bus=${this.bus} setvcp 10 ${this.brightness}`, // Command to set brightness
-                    resolve,
-                    reject
-                );
-            });
-        });
+    setSleepMultiplier(multiplier) {
+        this.sleepMultiplier = multiplier > 0 ? multiplier : 1;
     }
 
     /**
-     * Sets the contrast value for the monitor and updates the UI. Sends the new value to the monitor.
-     * 
-     * @param {number} value - The new contrast value to set.
+     * Queues a command that reads from a display, such as `getvcp` or `capabilities`.
+     *
+     * @param {number} bus - The I2C bus number of the display.
+     * @param {Array<string>} args - The ddcutil arguments after the bus option.
+     * @param {object} [options] - The same options as `CommandRunner.run()`.
+     * @returns {Promise<string>} A promise that resolves with stdout, or rejects with a CommandError.
      */
-    setContrast(value) {
-        this.contrast = Math.round(value);
-        this.updateMenu(); // Reflect the change in the UI
-        this.promises = this.promises.then(() => {
-            return new Promise((resolve, reject) => {
-                Util.spawnCommandLineAsync(
-                    `ddcutil --bus=${this.bus} setvcp 12 ${this.contrast}`, // Command to set contrast
-                    resolve,
-                    reject
-                );
-            });
-        });
+    read(bus, args, options = {}) {
+        return this._enqueue(bus, { key: null, args, options });
     }
 
     /**
-     * Adds the monitor's brightness and contrast controls to the applet's popup menu.
-     * 
-     * @param {object} menu - The menu to which the monitor's controls will be added.
+     * Queues a VCP write. If a write of the same feature is still waiting, it takes the new value
+     * instead, and both callers get the same promise.
+     *
+     * @param {number} bus - The I2C bus number of the display.
+     * @param {number} code - The VCP feature code.
+     * @param {number} value - The new value.
+     * @returns {Promise<string>} A promise that resolves once the value is written.
      */
-    addToMenu(menu) {
-        // Label for the monitor
-        const menuLabel = new PopupMenu.PopupMenuItem(this.name, {
-            reactive: false,
-        });
-        this.menuLabel = menuLabel;
-        menu.addMenuItem(menuLabel);
+    write(bus, code, value) {
+        const args = ["setvcp", formatVcpCode(code), String(value)];
+        const pending = this._getQueue(bus).tasks.find((task) => task.key === code);
+        if (pending) {
+            pending.args = args; // Last value wins
+            return pending.promise;
+        }
+        return this._enqueue(bus, { key: code, args, options: {} });
+    }
 
-        // Brightness Slider
-        const menuSlider = new PopupMenu.PopupSliderMenuItem(this.brightness / 100);
-        this.menuSlider = menuSlider;
-        menuSlider.connect("value-changed", (slider) => {
-            const brightness = Math.round(100 * slider.value);
-            this.brightness = brightness;
-            this.updateLabel(); // Update label to show new brightness value
+    /**
+     * Runs `ddcutil detect` once the commands already running have finished. Queued commands
+     * start again once the detection is done.
+     *
+     * @param {object} [options] - The same options as `CommandRunner.run()`.
+     * @returns {Promise<object>} A promise that resolves with the result of `CommandRunner.run()`.
+     */
+    detect(options = {}) {
+        const detection = this.detection.then(async () => {
+            this.paused = true;
+            try {
+                const running = [...this.queues.values()].filter((queue) => queue.current);
+                await Promise.all(running.map((queue) => queue.current.promise.catch(() => {})));
+                return await commandRunner.run([this.binary, "detect"], options);
+            } finally {
+                this.paused = false;
+                for (const bus of this.queues.keys()) {
+                    this._next(bus);
+                }
+            }
         });
+        this.detection = detection.catch(() => {});
+        return detection;
+    }
 
-        menuSlider.connect("drag-end", (slider) => {
-            const brightness = Math.round(100 * slider.value);
-            this.setBrightness(brightness); // Set new brightness after dragging ends
-        });
+    /**
+     * Drops every command that has not started yet, e.g. when the applet is removed.
+     */
+    clear() {
+        for (const queue of this.queues.values()) {
+            queue.tasks.forEach((task) => task.reject(new CommandError("cancelled")));
+            queue.tasks = [];
+        }
+    }
 
-        menu.addMenuItem(menuSlider);
+    /**
+     * Returns the queue of a bus, creating it on first use.
+     *
+     * @param {number} bus - The I2C bus number.
+     * @returns {object} The queue.
+     * @private
+     */
+    _getQueue(bus) {
+        if (!this.queues.has(bus)) {
+            this.queues.set(bus, { running: false, current: null, tasks: [] });
+        }
+        return this.queues.get(bus);
+    }
 
-        // Contrast Label and Slider
-        const contrastLabel = new PopupMenu.PopupMenuItem(this.name + " Contrast", {
-            reactive: false,
+    /**
+     * Adds a task to the queue of a bus and starts it if the bus is idle.
+     *
+     * @param {number} bus - The I2C bus number.
+     * @param {object} task - The task: `key` (the VCP code of a write), `args` and `options`.
+     * @returns {Promise<string>} The task's promise.
+     * @private
+     */
+    _enqueue(bus, task) {
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
         });
-        menu.addMenuItem(contrastLabel);
-
-        const contrastSlider = new PopupMenu.PopupSliderMenuItem(this.contrast / 100);
-        menu.addMenuItem(contrastSlider);
+        this._getQueue(bus).tasks.push(task);
+        this._next(bus);
+        return task.promise;
+    }
 
-        contrastSlider.connect("value-changed", (slider) => {
-            const contrast = Math.round(100 * slider.value);
-            this.contrast = contrast;
-            contrastLabel.setLabel(`${this.name} Contrast (${contrast}%)`); // Update label to show new contrast value
+    /**
+     * Starts the next task of a bus, unless one is already running.
+     *
+     * @param {number} bus - The I2C bus number.
+     * @private
+     */
+    _next(bus) {
+        const queue = this._getQueue(bus);
+        if (this.paused || queue.running || queue.tasks.length === 0) {
+            return;
+        }
+        const task = queue.tasks.shift();
+        queue.running = true;
+        queue.current = task;
+        this._run(bus, task.args, task.options).then(task.resolve, task.reject).then(() => {
+            queue.running = false;
+            queue.current = null;
+            this._next(bus);
         });
+    }
 
-        contrastSlider.connect("drag-end", (slider) => {
-            const contrast = Math.round(100 * slider.value);
-            this.setContrast(contrast); // Set new contrast after dragging ends
-        });
+    /**
+     * Runs a ddcutil command, retrying transient DDC errors with exponential backoff.
+     *
+     * @param {number} bus - The I2C bus number.
+     * @param {Array<string>} args - The ddcutil arguments after the bus option.
+     * @param {object} options - The same options as `CommandRunner.run()`.
+     * @returns {Promise<string>} A promise that resolves with stdout, or rejects with the last error.
+     * @private
+     */
+    async _run(bus, args, options) {
+        let argv = [this.binary, `--bus=${bus}`];
+        if (this.sleepMultiplier !== 1) {
+            argv.push("--sleep-multiplier", String(this.sleepMultiplier));
+        }
+        argv = argv.concat(args);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await commandRunner.check(argv, options);
+            } catch (e) {
+                if (attempt >= DDC_MAX_RETRIES || !isTransientDdcError(e)) {
+                    throw e;
+                }
+                global.log(`Retrying "${argv.join(" ")}" after: ${e.message}`);
+                await new Promise((resolve) => setTimeout(resolve, DDC_RETRY_DELAY * Math.pow(2, attempt)));
+            }
+        }
     }
 }
 
+// Shared by every monitor, so commands for one bus never overlap
+const ddcScheduler = new DdcScheduler();
+
 /**
- * QuickSettingsApplet is a custom Cinnamon applet that provides quick access to monitor settings 
- * (brightness and contrast), Wi-Fi, and Bluetooth. It also detects connected displays.
- *
- * @extends Applet.IconApplet
+ * Display holds what the internal backlight and the external DDC/CI monitors have in common:
+ * the brightness shown in the menu, the user's settings for the display and how the display
+ * follows the master brightness slider.
  */
-class QuickSettingsApplet extends Applet.IconApplet {
+class Display {
     /**
-     * Constructor for initializing the QuickSettingsApplet.
+     * Constructor to initialize a Display object.
      *
-     * @param {object} metadata - The applet metadata.
-     * @param {string} orientation - The orientation of the applet in the panel.
-     * @param {number} panel_height - The height of the panel in which the applet resides.
-     * @param {number} instance_id - The unique ID for the applet instance.
+     * @param {string} name - The detected name of the display.
      */
-    constructor(metadata, orientation, panel_height, instance_id) {
-        super(orientation, panel_height, instance_id);
-        this.detecting = false;
-        this.set_applet_icon_symbolic_name("preferences-system");
-        this.set_applet_tooltip(DEFAULT_TOOLTIP); // Tooltip for the applet
-        this.actor.connect('scroll-event', (...args) => this._onScrollEvent(...args)); // Scroll event handler for brightness adjustment
-        this.lastTooltipTimeoutID = null;
-        this.monitors = [];
-
-        // Initialize the applet's popup menu
-        this.menuManager = new PopupMenu.PopupMenuManager(this);
-        this.menu = new Applet.AppletPopupMenu(this, orientation);
-        this.menuManager.addMenu(this.menu);
-
-        this._addMenuItems(); // Add menu items such as Wi-Fi and Bluetooth
-        this.updateStatus(); // Update the applet's status for monitors, Wi-Fi, and Bluetooth
+    constructor(name) {
+        this.name = name;
+        this.label = name; // Custom name from the applet settings, or the detected name
+        this.brightness = 50;
+        this.brightnessRange = { min: 0, max: 100 };
+        this.linked = true; // Follows the master brightness
+        this.offset = 0; // Added to the master brightness, in percent
+        this.curve = 1; // Exponent applied to the master brightness before the offset
+        this.menuLabel = null;
+        this.menuSlider = null;
+        this.onChanged = null; // Called when the brightness shown for the display changes
     }
 
     /**
-     * Adds the basic items (Wi-Fi and Bluetooth) to the applet's popup menu.
-     * Also initializes the detection of connected monitors.
+     * Applies the user's settings for this display from the applet settings.
      *
-     * @private
+     * @param {object} options - The display's settings.
+     * @param {string} options.label - The name shown in the menu; the detected name when empty.
+     * @param {number} options.minBrightness - The lowest brightness the display may be set to, in percent.
+     * @param {number} options.maxBrightness - The highest brightness the display may be set to, in percent.
+     * @param {boolean} options.linked - Whether the display follows the master brightness.
+     * @param {number} options.offset - Calibration offset added to the master brightness, in percent.
+     * @param {number} options.curve - Calibration exponent; above 1 the display stays darker at low levels.
      */
-    _addMenuItems() {
-        // Create a horizontal box to contain the switches and icons
-        let hbox = new St.BoxLayout({ vertical: false });
-        hbox.set_style("padding: 0px 20px;");
-        
-        // Wi-Fi toggle switch
-        this.wifiSwitch = new PopupMenu.PopupSwitchIconMenuItem(_("Wi-Fi"), false, "network-wireless-symbolic", St.IconType.SYMBOLIC);
-        this.wifiSwitch.connect('toggled', Lang.bind(this, this._toggleWifi));
-        
-        // Add Wi-Fi switch to hbox
-        hbox.add_child(this.wifiSwitch.actor);
-        
-        // Wi-Fi settings gear icon with St.Button and St.Icon
-        let wifiGearIcon = new St.Icon({
-            icon_name: 'applications-system-symbolic',
-            style_class: 'popup-menu-icon'
-        });
-        
-        let wifiGearButton = new St.Button({
-            child: wifiGearIcon,
-            style_class: 'popup-menu-item',
-            reactive: true,
-            can_focus: true,
-            track_hover: true
-        });
-    
-        // Add hover and focus styles
-        wifiGearButton.connect('enter-event', () => {
-            wifiGearButton.set_style('background-color: rgba(255, 255, 255, 0.1);');
-        });
-        wifiGearButton.connect('leave-event', () => {
-            wifiGearButton.set_style('background-color: transparent;');
-        });
-        wifiGearButton.connect('key-focus-in', () => {
-            wifiGearButton.set_style('background-color: rgba(255, 255, 255, 0.15);');  // Focus style
-        });
-        wifiGearButton.connect('key-focus-out', () => {
-            wifiGearButton.set_style('background-color: transparent;');  // Reset style when focus leaves
-        });
-    
-        wifiGearButton.connect('clicked', () => {
-            Util.spawnCommandLine("cinnamon-settings network");
-        });
-        
-        hbox.add_child(wifiGearButton);
-        
-        // Bluetooth toggle switch
-        this.bluetoothSwitch = new PopupMenu.PopupSwitchIconMenuItem(_("Bluetooth"), false, "bluetooth-symbolic", St.IconType.SYMBOLIC);
-        this.bluetoothSwitch.connect('toggled', Lang.bind(this, this._toggleBluetooth));
-        
-        // Add Bluetooth switch to hbox
-        hbox.add_child(this.bluetoothSwitch.actor);
-        
-        // Bluetooth settings gear icon with St.Button and St.Icon
-        let bluetoothGearIcon = new St.Icon({
-            icon_name: 'applications-system-symbolic',
-            style_class: 'popup-menu-icon'
-        });
-
-        let bluetoothGearButton = new St.Button({
-            child: bluetoothGearIcon,
-            style_class: 'popup-menu-item',
-            reactive: true,
-            can_focus: true,
-            track_hover: true
-        });
-
-        // Add hover and focus styles
-        bluetoothGearButton.connect('enter-event', () => {
-            bluetoothGearButton.set_style('background-color: rgba(255, 255, 255, 0.1);');
-        });
-        bluetoothGearButton.connect('leave-event', () => {
-            bluetoothGearButton.set_style('background-color: transparent;');
-        });
-        bluetoothGearButton.connect('key-focus-in', () => {
-            bluetoothGearButton.set_style('background-color: rgba(255, 255, 255, 0.15);');  // Focus style
-        });
-        bluetoothGearButton.connect('key-focus-out', () => {
-            bluetoothGearButton.set_style('background-color: transparent;');  // Reset style when focus leaves
-        });
-
-        // Open Linux Mint Bluetooth Manager
-        bluetoothGearButton.connect('clicked', () => {
-            Util.spawnCommandLine("blueman-manager");  // Open Bluetooth settings using Bluetooth Manager
-        });
+    configure(options) {
+        const { label, minBrightness, maxBrightness, linked, offset, curve } = options;
+        this.label = label || this.name;
+        this.brightnessRange = { min: Math.min(minBrightness, maxBrightness), max: Math.max(minBrightness, maxBrightness) };
+        this.linked = linked;
+        this.offset = offset;
+        this.curve = curve > 0 ? curve : 1;
+        this.updateMenu();
+    }
 
-        hbox.add_child(bluetoothGearButton);
+    /**
+     * Limits a brightness value to the range set in the applet settings.
+     *
+     * @param {number} value - The brightness in percent.
+     * @returns {number} The rounded, clamped brightness.
+     */
+    clampBrightness(value) {
+        return Math.min(this.brightnessRange.max, Math.max(this.brightnessRange.min, Math.round(value)));
+    }
 
-        
-        // Add the hbox to the menu
-        this.menu.addMenuItem(new PopupMenu.PopupBaseMenuItem({ reactive: false }));
-        this.menu.addActor(hbox);
-        
-        // Detect and display monitor settings
-        this.updateMonitors();
-    } 
-    
-        
+    /**
+     * Maps the master brightness onto this display, using its calibration.
+     *
+     * @param {number} master - The master brightness in percent.
+     * @returns {number} The display's brightness in percent.
+     */
+    getLinkedBrightness(master) {
+        return this.clampBrightness(100 * Math.pow(master / 100, this.curve) + this.offset);
+    }
 
     /**
-     * Detects connected monitors and retrieves their brightness and contrast settings.
+     * Maps this display's brightness back onto the master brightness; the inverse of
+     * `getLinkedBrightness()`, ignoring the brightness range.
      *
-     * @param {boolean} [init=true] - Whether the detection is happening on initialization.
-     * @returns {Promise<void>} A promise that resolves when the monitors have been detected and their settings fetched.
+     * @returns {number} The master brightness in percent.
      */
-    async updateMonitors(init = true) {
-        this.detecting = true;
-        global.log("Detecting displays...");
-        this.monitors = (await getDisplays()).map(
-            // Create a Monitor object for each display detected
-            (d) => new Monitor(d.index, d.name, d.bus)
-        );
-
-        if (this.monitors.length === 0) {
-            global.log("Could not find any ddc/ci displays.", "warning");
-        }
-
-        if (init) {
-            // Update the applet menu after initial detection
-            this.updateMenu();
-        }
-
-        // Get brightness and contrast for each monitor
-        for (const monitor of this.monitors) {
-            global.log(`Getting brightness of display ${monitor.index}...`);
-            await monitor.updateBrightness();
-            await monitor.updateContrast();
-        }
+    getMasterBrightness() {
+        const level = Math.min(100, Math.max(0, this.brightness - this.offset));
+        return Math.round(100 * Math.pow(level / 100, 1 / this.curve));
+    }
 
-        this.detecting = false;
-        if (!init) {
-            // Update menu after detection is complete
-            this.updateMenu();
+    /**
+     * Updates the label in the UI to reflect the current brightness value.
+     */
+    updateLabel() {
+        if (this.menuLabel) {
+            this.menuLabel.setLabel(`${this.label}  (${formatPercent(this.brightness)})`);
         }
     }
 
     /**
-     * Updates the applet's popup menu with the detected monitor brightness and contrast
+     * Updates the display's menu with the current brightness value.
      */
     updateMenu() {
-        // Clear existing menu items
-        this.menu.removeAll();
-
-        // Add Wi-Fi and Bluetooth switches
-        let hbox = new St.BoxLayout({ vertical: false });
-        hbox.add_child(this.wifiSwitch.actor);
-        hbox.add_child(this.bluetoothSwitch.actor);
-        this.menu.addActor(hbox);
-
-        // Add a separator between switches and monitor sliders 
-        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this.updateLabel();
+        if (this.menuSlider) {
+            this.menuSlider.setValue(this.brightness / 100);
+        }
+        if (this.onChanged) {
+            this.onChanged();
+        }
+    }
+}
 
-        // Add each monitor's brightness and contrast controls to the menu
-        this.monitors.forEach((monitor) => {
-            monitor.addToMenu(this.menu);
-        });
+// MCCS VCP feature codes the applet can control
+const VCP = {
+    BRIGHTNESS: 0x10,
+    CONTRAST: 0x12,
+    COLOR_PRESET: 0x14,
+    RED_GAIN: 0x16,
+    GREEN_GAIN: 0x18,
+    BLUE_GAIN: 0x1A,
+    INPUT_SOURCE: 0x60,
+    SPEAKER_VOLUME: 0x62,
+    AUDIO_MUTE: 0x8D,
+    POWER_MODE: 0xD6,
+};
 
-        // Add a "refresh displays" button to refresh the list of monitors
-        let reload = new PopupMenu.PopupImageMenuItem(
-            "Refresh Displays",
-            "emblem-synchronizing-symbolic",
-            St.IconType.SYMBOLIC,
-            {
-                reactive: true,
-            }
-        );
+/**
+ * Monitor class represents an external display and handles brightness and contrast control, as
+ * well as the other DDC/CI (VCP) features the display reports in its capabilities.
+ *
+ * @extends Display
+ */
+class Monitor extends Display {
+    /**
+     * Constructor to initialize a Monitor object.
+     *
+     * @param {number} index - The index of the monitor in the system.
+     * @param {string} name - The name of the monitor.
+     * @param {number} bus - The I2C bus number used by the monitor.
+     * @param {string} [id] - The stable identifier built from the EDID, see `getDisplays()`.
+     */
+    constructor(index, name, bus, id) {
+        super(name);
+        this.index = index;
+        this.id = id || name;
+        this.contrast = 50;
+        this.bus = bus;
+        this.capabilities = null; // VCP code -> feature, once `ddcutil capabilities` has been read
+        this.error = null; // Message of the last failed command, while the display is not responding
+        this.errorIcon = null;
+        this.errorTooltip = null;
+        this.contrastItems = [];
+        this.featureMenu = null;
+        this.refreshing = false; // A refresh() is waiting for the display
+        this.adjusting = false; // A slider is being dragged, its value is not written yet
+    }
 
-        this.menu.addMenuItem(reload);
+    /**
+     * Returns a key that identifies the monitor across detection runs, unlike its index and bus.
+     *
+     * @returns {string} The EDID manufacturer, model and serial number, e.g. "DEL:DELL U2720Q:ABC123".
+     */
+    getDisplayKey() {
+        return this.id;
+    }
 
-        // Re-detect displays when the button is clicked
-        reload.connect("activate", () => {
-            if (!this.detecting) {
-                const infoOSD = new ModalDialog.InfoOSD("Detecting displays...");
-                infoOSD.show();
-                reload.destroy();
-                this.updateMonitors().then(
-                    () => this.menu.open(true),
-                    e  => global.logError("Error: "  + e)
-                ).then(() => infoOSD.destroy());
-            }
+    /**
+     * Reads a VCP feature's current value.
+     *
+     * @param {number} code - The VCP feature code, e.g. `VCP.BRIGHTNESS`.
+     * @returns {Promise<object|null>} A promise that resolves with `current` and `max` (null for
+     * non-continuous features), or null if the value could not be read.
+     */
+    getVcp(code) {
+        return ddcScheduler.read(this.bus, ["--terse", "getvcp", formatVcpCode(code)]).then((stdout) => {
+            this._setError(null);
+            return parseVcpValue(stdout);
+        }, (e) => {
+            this._onCommandFailed(e);
+            return null;
         });
+    }
 
-        // Add a separator between monitor settings and other items 
-        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    /**
+     * Writes a VCP feature value. Writes are queued per bus; a write that has not started yet is
+     * replaced by a newer one of the same feature.
+     *
+     * @param {number} code - The VCP feature code, e.g. `VCP.INPUT_SOURCE`.
+     * @param {number} value - The new value.
+     * @returns {Promise} A promise that resolves once the value is written, or the write failed.
+     */
+    setVcp(code, value) {
+        return ddcScheduler.write(this.bus, code, value).then(() => {
+            this._setError(null);
+        }, (e) => this._onCommandFailed(e));
     }
 
     /**
-     * Toggles the Wi-Fi state on or off based on the switch position.
+     * Logs a failed command, and shows the error badge when the display stopped responding (as
+     * opposed to e.g. not supporting a feature).
      *
-     * @param {object} switchItem - The switch element that triggered the toggle.
+     * @param {Error} e - The error.
      * @private
      */
-    _toggleWifi(switchItem) {
-        try {
-            let command = switchItem.state ? 'nmcli radio wifi on' : 'nmcli radio wifi off';
-            // Execute Wi-Fi toggle command
-            GLib.spawn_command_line_sync(command);
-        } catch (e) {
-            global.logError("Error toggling Wi-Fi in Quick Settings applet: " + e);
+    _onCommandFailed(e) {
+        global.logError(`${this.label}: ${e.message}`);
+        if (isTransientDdcError(e) || /timed out$/.test(e.message)) {
+            this._setError(e.message);
         }
     }
 
     /**
-     * Toggles the Bluetooth state on or off based on the switch position.
+     * Sets or clears the error shown next to the monitor's name.
      *
-     * @param {object} switchItem - The switch element that triggered the toggle.
+     * @param {string|null} message - The error message, or null once the display responds again.
      * @private
      */
-    _toggleBluetooth(switchItem) {
-        try {
-            let command = switchItem.state ? 'bluetoothctl power on' : 'bluetoothctl power off';
-            // Execute Bluetooth toggle command
-            GLib.spawn_command_line_sync(command);
-        } catch (e) {
-            global.logError("Error toggling Bluetooth in Quick Settings applet: " + e);
+    _setError(message) {
+        this.error = message;
+        if (this.errorIcon) {
+            this.errorIcon.visible = message !== null;
+            this.errorTooltip.set_text(`${_("Not responding")}: ${message}`);
+            this.errorIcon.accessible_name = message !== null ? `${this.label}: ${_("Not responding")}` : "";
         }
     }
 
     /**
-     * Updates the Wi-Fi switch to reflect the current Wi-Fi state (on/off).
+     * Whether the monitor supports a VCP feature. Until the capabilities are known, only
+     * brightness and contrast are assumed to work.
      *
-     * @private
+     * @param {number} code - The VCP feature code.
+     * @returns {boolean} True if the feature is supported.
      */
-    _updateWifiSwitchState() {
-        try {
-            let [result, stdout, stderr] = GLib.spawn_command_line_sync('nmcli radio wifi');
-            this.wifiSwitch.setToggleState(stdout.toString().trim() === 'enabled');
-        } catch (e) {
-            global.logError("Error updating Wi-Fi switch state in Quick Settings applet: " + e);
+    supports(code) {
+        if (this.capabilities === null) {
+            return code === VCP.BRIGHTNESS || code === VCP.CONTRAST;
         }
+        return this.capabilities.has(code);
     }
 
     /**
-     * Updates the Bluetooth switch to reflect the current Bluetooth state (on/off).
+     * Reads the VCP features the monitor supports from `ddcutil capabilities`, and shows the
+     * matching controls.
      *
-     * @private
-     */    
-    _updateBluetoothSwitchState() {
-        try {
-            let [result, stdout, stderr] = GLib.spawn_command_line_sync('bluetoothctl show');
-            let output = stdout.toString();
-            this.bluetoothSwitch.setToggleState(output.includes('Powered: yes'));
-        } catch (e) {
-            global.logError("Error updating Bluetooth switch state in Quick Settings applet: " + e);
-        }
+     * @returns {Promise} A promise that resolves when the capabilities have been read.
+     */
+    updateCapabilities() {
+        return ddcScheduler.read(this.bus, ["capabilities"]).then((stdout) => {
+            this.capabilities = parseCapabilities(stdout);
+            this._updateFeatureVisibility();
+            this._buildFeatureMenu();
+        }, (e) => global.logError(`Failed to read capabilities of ${this.label}: ${e.message}`));
     }
 
     /**
-     * Updates the status of Wi-Fi, Bluetooth, and monitors in the applet.
-     */    
-    updateStatus() {
-        this._updateWifiSwitchState();
-        this._updateBluetoothSwitchState();
-        this.monitors.forEach((monitor) => {
-            monitor.updateBrightness();
+     * Fetches the current brightness value from the monitor and updates the menu.
+     * 
+     * @returns {Promise} A promise that resolves when the brightness is updated.
+     */
+    updateBrightness() {
+        return this.getVcp(VCP.BRIGHTNESS).then((value) => {
+            if (value) {
+                this.brightness = value.current;
+                this.updateMenu(); // Update UI with new brightness value
+            }
         });
     }
 
     /**
-     * Handles the applet click event, updating the status and toggling the menu visibility.
-     */    
-    on_applet_clicked() {
-        this.updateStatus();
-        this.menu.toggle();
+     * Fetches the current contrast value from the monitor and updates the menu.
+     * 
+     * @returns {Promise} A promise that resolves when the contrast is updated.
+     */
+    updateContrast() {
+        return this.getVcp(VCP.CONTRAST).then((value) => {
+            if (value) {
+                this.contrast = value.current;
+                this.updateMenu(); // Update UI with new contrast value
+            }
+        });
     }
 
     /**
-     * Handles the applet being added to the panel, initializing monitor detection.
-     */    
-    on_applet_added_to_panel() {
-        if(!this.detecting) {
-            this.updateMonitors();
+     * Reads the brightness and contrast again, to follow changes made with the monitor's own
+     * buttons or another ddcutil client. A value changed from the menu in the meantime wins.
+     *
+     * @returns {Promise} A promise that resolves when both values have been read.
+     */
+    refresh() {
+        if (this.refreshing || this.adjusting) {
+            return Promise.resolve(); // The bus is slower than the refresh interval, or the user is on it
         }
+        this.refreshing = true;
+        const brightness = this.brightness;
+        const contrast = this.contrast;
+        return Promise.all([this.getVcp(VCP.BRIGHTNESS), this.getVcp(VCP.CONTRAST)]).then(([newBrightness, newContrast]) => {
+            this.refreshing = false;
+            let changed = false;
+            if (newBrightness && this.brightness === brightness && newBrightness.current !== brightness) {
+                this.brightness = newBrightness.current;
+                changed = true;
+            }
+            if (newContrast && this.contrast === contrast && newContrast.current !== contrast) {
+                this.contrast = newContrast.current;
+                changed = true;
+            }
+            if (changed) {
+                this.updateMenu();
+            }
+        });
     }
 
     /**
-     * Handles scroll events on the applet, adjusting the brightness of the connected monitors.
-     *
-     * @param {object} actor - The actor receiving the scroll event.
-     * @param {object} event - The scroll event object.
-     * @private
-     */    
-    _onScrollEvent(actor, event) {
-        let direction = event.get_scroll_direction();
-        if (direction == Clutter.ScrollDirection.SMOOTH) {
-            return;
-        }
+     * Sets the brightness value for the monitor and updates the UI. Sends the new value to the monitor.
+     * 
+     * @param {number} value - The new brightness value to set.
+     */
+    setBrightness(value) {
+        this.brightness = this.clampBrightness(value);
+        this.updateMenu(); // Reflect the change in the UI
+        this.setVcp(VCP.BRIGHTNESS, this.brightness);
+    }
 
-        clearTimeout(this.lastTooltipTimeoutID);
-        let adjustment = (direction == Clutter.ScrollDirection.UP) ? BRIGHTNESS_ADJUSTMENT_STEP : -BRIGHTNESS_ADJUSTMENT_STEP;
-        let tooltipMessage = this.monitors.map(monitor => {
-            monitor.brightness = Math.min(100, Math.max(0, monitor.brightness + adjustment));
-            monitor.setBrightness(monitor.brightness);
-            return `${monitor.name}: ${monitor.brightness}%`;
-        }).join("\n");
+    /**
+     * Sets the contrast value for the monitor and updates the UI. Sends the new value to the monitor.
+     * 
+     * @param {number} value - The new contrast value to set.
+     */
+    setContrast(value) {
+        this.contrast = Math.min(100, Math.max(0, Math.round(value)));
+        this.updateMenu(); // Reflect the change in the UI
+        this.setVcp(VCP.CONTRAST, this.contrast);
+    }
 
-        this.set_applet_tooltip(tooltipMessage);
-        this._applet_tooltip.show();
-        this.lastTooltipTimeoutID = setTimeout(() => {
-            this._applet_tooltip.hide();
-            this.set_applet_tooltip(DEFAULT_TOOLTIP);
-        }, 2500);
+    /**
+     * Updates the monitor's menu with the current brightness and contrast values.
+     */
+    updateMenu() {
+        super.updateMenu();
+        if (this.contrastItems.length > 0) {
+            const [contrastLabel, contrastSlider] = this.contrastItems;
+            contrastLabel.setLabel(_("%s Contrast").replace("%s", this.label) + `  (${formatPercent(this.contrast)})`);
+            contrastSlider.setValue(this.contrast / 100);
+        }
     }
-}
 
-/**
- * Asynchronously detects connected displays using the `ddcutil detect` command and parses the output
- * to retrieve the display index, bus number, and model name.
- * 
- * @returns {Promise<Array<object>>} A promise that resolves with an array of display objects.
- * Each display object contains the following properties:
- *   - {number} index - The display index.
- *   - {string} name - The display name, typically the model name.
- *   - {number} bus - The I2C bus number used to communicate with the display.
- * 
- * @throws {Error} If the `ddcutil detect` command fails, logs the error and shows a notification dialog.
- */
-async function getDisplays() {
-    const ddcutilOutput = await new Promise((resolve, reject) => {
-        Util.spawnCommandLineAsyncIO(
-            `ddcutil detect`,
-            (stdout, stderr, exitCode) => {
-                if (exitCode == 0) {
-                    resolve(stdout); // Command successful, resolve with output
-                } else {
-                    // Log the error and show a notification dialog for failure
-                    global.logError("Failed to detect displays: " + stderr);
-                    const dialog = new ModalDialog.NotifyDialog([
-                        "Failed to detect displays.",
-                        "Make sure you have ddcutil installed and the correct permissions.",
-                        "Error: " + stderr
-                    ].join("\n"));
-                    dialog.open();
-                    reject(stderr);
-                }
-            }
-        );
-    });
+    /**
+     * Adds the monitor's brightness and contrast controls to the applet's popup menu, followed by
+     * a submenu with the other features the monitor supports.
+     * 
+     * @param {object} menu - The menu to which the monitor's controls will be added.
+     */
+    addToMenu(menu) {
+        // Label for the monitor
+        const menuLabel = new PopupMenu.PopupMenuItem(this.label, {
+            reactive: false,
+        });
+        this.menuLabel = menuLabel;
+        menu.addMenuItem(menuLabel);
 
-    let displays = []; // Array to store detected displays
-    const lines = ddcutilOutput.split("\n");
-    let currentDisplay = null;
+        // Badge shown while the display does not respond
+        this.errorIcon = new St.Icon({ icon_name: "dialog-warning-symbolic", style_class: "popup-menu-icon", reactive: true });
+        this.errorTooltip = new Tooltips.Tooltip(this.errorIcon, "");
+        menuLabel.addActor(this.errorIcon, { align: St.Align.END });
+        this._setError(this.error);
 
-    // Parse the output from ddcutil to extract display information
-    for (const line of lines) {
-        const displayMR = line.match(/^Display (\d+)$/); // Match for display index
+        // Brightness Slider
+        const menuSlider = setupSlider(new PopupMenu.PopupSliderMenuItem(this.brightness / 100),
+            (value) => _("%s brightness %d percent").replace("%d", Math.round(100 * value)).replace("%s", this.label));
+        this.menuSlider = menuSlider;
+        menuSlider.connect("value-changed", (slider) => {
+            const brightness = Math.round(100 * slider.value);
+            this.adjusting = true;
+            this.brightness = brightness;
+            this.updateLabel(); // Update label to show new brightness value
+        });
 
-        if (displayMR && displayMR.length === 2) {
-            const index = parseInt(displayMR[1], 10); // Extract display index
+        menuSlider.connect("drag-end", (slider) => {
+            const brightness = Math.round(100 * slider.value);
+            this.adjusting = false;
+            this.setBrightness(brightness); // Set new brightness after dragging ends
+        });
 
-            // If a display was being processed, complete its info and push it to the list
-            if (currentDisplay) {
-                if (currentDisplay.name === undefined) {
-                    currentDisplay.name = currentDisplay.fallbackName;
-                }
-                displays.push(currentDisplay);
-            }
+        menu.addMenuItem(menuSlider);
 
-            // Start processing a new display
-            currentDisplay = {
-                index,
-                fallbackName: displayMR[0], // Use fallback name if model is unavailable
-            };
-        } else {
-            // Continue processing the current display
-            if (currentDisplay) {
-                // Match for I2C bus number
-                const busMR = line.match(/^\s+I2C bus:\s+\/dev\/i2c-(\d+)$/);
+        // Contrast Label and Slider
+        const contrastLabel = new PopupMenu.PopupMenuItem(_("%s Contrast").replace("%s", this.label), {
+            reactive: false,
+        });
+        menu.addMenuItem(contrastLabel);
 
-                if (busMR && busMR.length === 2 && currentDisplay.bus === undefined) {
-                    currentDisplay.bus = parseInt(busMR[1], 10); // Extract and assign the bus number
-                } else {
-                    // Match for model name
-                    const modelMR = line.match(/^\s+Model:\s+(.+)$/);
+        const contrastSlider = setupSlider(new PopupMenu.PopupSliderMenuItem(this.contrast / 100),
+            (value) => _("%s contrast %d percent").replace("%d", Math.round(100 * value)).replace("%s", this.label));
+        menu.addMenuItem(contrastSlider);
 
-                    if (modelMR && modelMR.length === 2 && currentDisplay.name === undefined) {
-                        currentDisplay.name = modelMR[1]; // Assign the model name if available
-                    }
-                }
-            } else {
-                continue; // Skip lines if no current display is being processed
+        contrastSlider.connect("value-changed", (slider) => {
+            const contrast = Math.round(100 * slider.value);
+            this.adjusting = true;
+            this.contrast = contrast;
+            contrastLabel.setLabel(_("%s Contrast").replace("%s", this.label) + `  (${formatPercent(contrast)})`); // Update label to show new contrast value
+        });
+
+        contrastSlider.connect("drag-end", (slider) => {
+            const contrast = Math.round(100 * slider.value);
+            this.adjusting = false;
+            this.setContrast(contrast); // Set new contrast after dragging ends
+        });
+        this.contrastItems = [contrastLabel, contrastSlider];
+        contrastLabel.connect("destroy", () => {
+            if (this.contrastItems[0] === contrastLabel) {
+                this.contrastItems = [];
             }
-        }
-    }
+        });
 
-    // Finalize the last detected display and add it to the list
-    if (currentDisplay) {
-        if (currentDisplay.name === undefined) {
-            currentDisplay.name = currentDisplay.fallbackName;
-        }
-        displays.push(currentDisplay);
+        // Input source, speaker, color and power controls
+        const featureMenu = new PopupMenu.PopupSubMenuMenuItem(`${this.label}: ${_("More controls")}`);
+        featureMenu.menu.connect("open-state-changed", (m, open) => {
+            if (open) {
+                this._refreshFeatureMenu();
+            }
+        });
+        this.featureMenu = featureMenu;
+        menu.addMenuItem(featureMenu);
+
+        this._updateFeatureVisibility();
+        this._buildFeatureMenu();
     }
 
-    global.log(`Detected ${displays.length} displays.`); // Log the number of detected displays
-    return displays;
+    /**
+     * Hides the contrast controls when the monitor does not support contrast.
+     *
+     * @private
+     */
+    _updateFeatureVisibility() {
+        const contrast = this.supports(VCP.CONTRAST);
+        this.contrastItems.forEach((item) => item.actor.visible = contrast);
+    }
+
+    /**
+     * Fills the feature submenu with controls for the supported VCP features. The submenu is
+     * hidden until the capabilities are known, or if none of the features are supported.
+     *
+     * @private
+     */
+    _buildFeatureMenu() {
+        if (!this.featureMenu) {
+            return;
+        }
+        const menu = this.featureMenu.menu;
+        menu.removeAll();
+        this.featureControls = {};
+
+        // Selectors for features with a list of named values
+        const selectors = [
+            [VCP.INPUT_SOURCE, _("Input Source")],
+            [VCP.COLOR_PRESET, _("Color Preset")],
+        ];
+        for (const [code, title] of selectors) {
+            const feature = this.capabilities ? this.capabilities.get(code) : null;
+            if (!feature || feature.values.length === 0) {
+                continue;
+            }
+            menu.addMenuItem(new PopupMenu.PopupMenuItem(title, { reactive: false }));
+            const items = feature.values.map(({ value, name }) => {
+                const item = new PopupMenu.PopupMenuItem(`    ${name}`);
+                item.connect("activate", () => {
+                    this.setVcp(code, value);
+                    items.forEach((other) => other.setOrnament(PopupMenu.OrnamentType.DOT, other === item));
+                });
+                menu.addMenuItem(item);
+                return item;
+            });
+            this.featureControls[code] = { values: feature.values, items };
+        }
+
+        // Monitor speakers; the mute switch is only read and shown when 0x8D is supported, as
+        // many monitors have a volume but no mute
+        if (this.supports(VCP.AUDIO_MUTE)) {
+            const speaker = new PopupMenu.PopupSwitchMenuItem(_("Speakers"), true);
+            // 0x8D uses 1 for muted and 2 for unmuted
+            speaker.connect("toggled", (item) => this.setVcp(VCP.AUDIO_MUTE, item.state ? 2 : 1));
+            menu.addMenuItem(speaker);
+            this.featureControls[VCP.AUDIO_MUTE] = { item: speaker };
+        }
+        if (this.supports(VCP.SPEAKER_VOLUME)) {
+            this._addFeatureSlider(menu, VCP.SPEAKER_VOLUME, _("Speaker Volume"));
+        }
+
+        // Color gains
+        this._addFeatureSlider(menu, VCP.RED_GAIN, _("Red Gain"));
+        this._addFeatureSlider(menu, VCP.GREEN_GAIN, _("Green Gain"));
+        this._addFeatureSlider(menu, VCP.BLUE_GAIN, _("Blue Gain"));
+
+        // DPMS power off; the monitor's power button or input activity turns it back on
+        if (this.supports(VCP.POWER_MODE)) {
+            const feature = this.capabilities.get(VCP.POWER_MODE);
+            const offValues = feature.values.map(({ value }) => value).filter((value) => value === 4 || value === 5);
+            const powerOff = new PopupMenu.PopupImageMenuItem(_("Turn Off Display"), "system-shutdown-symbolic", St.IconType.SYMBOLIC);
+            powerOff.connect("activate", () => this.setVcp(VCP.POWER_MODE, offValues.length > 0 ? offValues[0] : 4));
+            menu.addMenuItem(powerOff);
+        }
+
+        this.featureMenu.actor.visible = !menu.isEmpty();
+    }
+
+    /**
+     * Adds a label and slider for a continuous VCP feature, if the monitor supports it.
+     *
+     * @param {object} menu - The menu to which the slider will be added.
+     * @param {number} code - The VCP feature code.
+     * @param {string} title - The label shown above the slider.
+     * @private
+     */
+    _addFeatureSlider(menu, code, title) {
+        if (!this.supports(code)) {
+            return;
+        }
+        const label = new PopupMenu.PopupMenuItem(title, { reactive: false });
+        const control = { label, title, max: 100 };
+        const slider = setupSlider(new PopupMenu.PopupSliderMenuItem(0),
+            (value) => `${title} ${Math.round(value * control.max)}`);
+        control.slider = slider;
+        slider.connect("value-changed", (item) => {
+            label.setLabel(`${title}  (${Math.round(item.value * control.max)})`);
+        });
+        slider.connect("drag-end", (item) => {
+            this.setVcp(code, Math.round(item.value * control.max));
+        });
+        menu.addMenuItem(label);
+        menu.addMenuItem(slider);
+        this.featureControls[code] = control;
+    }
+
+    /**
+     * Reads the current values of the features in the submenu. Done when the submenu opens, as
+     * each read is a slow DDC/CI round trip.
+     *
+     * @private
+     */
+    async _refreshFeatureMenu() {
+        for (const [key, control] of Object.entries(this.featureControls || {})) {
+            const code = parseInt(key, 10);
+            const value = await this.getVcp(code);
+            if (!value) {
+                continue;
+            }
+            if (control.items) {
+                control.items.forEach((item, i) => item.setOrnament(PopupMenu.OrnamentType.DOT, control.values[i].value === value.current));
+            } else if (control.slider) {
+                control.max = value.max || 100;
+                control.slider.setValue(value.current / control.max);
+                control.label.setLabel(`${control.title}  (${value.current})`);
+            } else if (control.item) {
+                control.item.setToggleState(value.current !== 1);
+            }
+        }
+    }
+}
+
+/**
+ * Backlight class represents an internal panel (e.g. a laptop screen) driven through the
+ * kernel backlight interface in sysfs.
+ *
+ * @extends Display
+ */
+class Backlight extends Display {
+    /**
+     * Constructor to initialize a Backlight object.
+     *
+     * @param {string} device - The sysfs device name, e.g. "intel_backlight".
+     * @param {string} name - The name shown in the menu.
+     * @param {string} path - The sysfs directory of the device.
+     * @param {number} maxBrightness - The raw value of the device's `max_brightness`.
+     * @param {boolean} useLogind - Whether writes go through logind instead of the brightness file.
+     */
+    constructor(device, name, path, maxBrightness, useLogind) {
+        super(name);
+        this.device = device;
+        this.path = path;
+        this.maxBrightness = maxBrightness;
+        this.useLogind = useLogind;
+        this.promises = Promise.resolve(); // Sequential execution of brightness writes
+    }
+
+    /**
+     * Returns a key that identifies the backlight in profiles and the applet settings. The sysfs
+     * device name is used, as the name shown in the menu is translated.
+     *
+     * @returns {string} The sysfs device name, e.g. "intel_backlight".
+     */
+    getDisplayKey() {
+        return this.device;
+    }
+
+    /**
+     * Reads the current brightness from sysfs and updates the menu.
+     *
+     * @returns {Promise} A promise that resolves when the brightness is updated.
+     */
+    updateBrightness() {
+        return readFile(`${this.path}/brightness`).then((contents) => {
+            const raw = parseInt(contents, 10);
+            if (!isNaN(raw) && this.maxBrightness > 0) {
+                this.brightness = Math.round(100 * raw / this.maxBrightness);
+                this.updateMenu(); // Update UI with new brightness value
+            }
+        }, (e) => {
+            global.logError(`Failed to read brightness of backlight ${this.device}: ${e}`);
+        });
+    }
+
+    /**
+     * Sets the brightness value for the panel and updates the UI. The percentage is converted to
+     * the device's raw range before it is written.
+     *
+     * @param {number} value - The new brightness value to set, in percent.
+     */
+    setBrightness(value) {
+        this.brightness = this.clampBrightness(value);
+        this.updateMenu(); // Reflect the change in the UI
+        const raw = Math.round(this.brightness * this.maxBrightness / 100);
+        this.promises = this.promises.then(() => {
+            return this.useLogind ? this._setBrightnessLogind(raw) : this._setBrightnessFile(raw);
+        }).catch((e) => {
+            // Keep the chain usable for the next write
+            global.logError(`Failed to set brightness of backlight ${this.device}: ${e}`);
+        });
+    }
+
+    /**
+     * Writes a raw brightness value through logind's `SetBrightness`, which does not require
+     * write access to sysfs.
+     *
+     * @param {number} raw - The raw brightness value.
+     * @returns {Promise} A promise that resolves when logind has applied the value.
+     * @private
+     */
+    _setBrightnessLogind(raw) {
+        return callDBus(Gio.DBus.system, LOGIND_BUS_NAME, `${LOGIND_PATH}/session/auto`,
+            "org.freedesktop.login1.Session", "SetBrightness",
+            new GLib.Variant("(ssu)", ["backlight", this.device, raw]));
+    }
+
+    /**
+     * Writes a raw brightness value directly into the device's `brightness` file. Used when the
+     * backlight root is not the real sysfs tree.
+     *
+     * @param {number} raw - The raw brightness value.
+     * @returns {Promise} A promise that resolves when the file has been written.
+     * @private
+     */
+    _setBrightnessFile(raw) {
+        return new Promise((resolve, reject) => {
+            const file = Gio.File.new_for_path(`${this.path}/brightness`);
+            file.replace_contents_bytes_async(
+                new GLib.Bytes(ByteArray.fromString(`${raw}\n`)),
+                null,
+                false,
+                Gio.FileCreateFlags.NONE,
+                null,
+                (f, result) => {
+                    try {
+                        f.replace_contents_finish(result);
+                        resolve();
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Adds the backlight's brightness control to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the brightness control will be added.
+     */
+    addToMenu(menu) {
+        const menuLabel = new PopupMenu.PopupMenuItem(this.label, {
+            reactive: false,
+        });
+        this.menuLabel = menuLabel;
+        menu.addMenuItem(menuLabel);
+
+        const menuSlider = setupSlider(new PopupMenu.PopupSliderMenuItem(this.brightness / 100),
+            (value) => _("%s brightness %d percent").replace("%d", Math.round(100 * value)).replace("%s", this.label));
+        this.menuSlider = menuSlider;
+        menuSlider.connect("value-changed", (slider) => {
+            this.brightness = Math.round(100 * slider.value);
+            this.updateLabel();
+        });
+
+        menuSlider.connect("drag-end", (slider) => {
+            this.setBrightness(Math.round(100 * slider.value));
+        });
+
+        menu.addMenuItem(menuSlider);
+        this.updateLabel();
+    }
+}
+
+/**
+ * BatterySection shows the charge of the laptop batteries and of peripherals (mice, headsets...)
+ * reported by UPower, and switches power-profiles-daemon profiles. Values are updated live from
+ * D-Bus property changes; `/sys/class/power_supply` is read instead when UPower is unavailable.
+ */
+class BatterySection {
+    /**
+     * Constructor to initialize a BatterySection object.
+     *
+     * @param {function} onChanged - Called whenever the battery state or power profile changes.
+     */
+    constructor(onChanged) {
+        this.onChanged = onChanged;
+        this.devices = new Map(); // UPower object path -> device proxy
+        this.displayDevice = null;
+        this.upower = null;
+        this.powerProfiles = null;
+        this.useFallback = false;
+        this.fallbackDevices = [];
+        this.section = null;
+        this.items = null; // Menu items of the section, updated in place
+        this.layout = null; // Which items the section was built with, see _getLayout()
+        this._signalIds = [];
+    }
+
+    /**
+     * Connects to UPower and power-profiles-daemon. Falls back to sysfs if UPower is not running.
+     */
+    start() {
+        new UPowerProxy(Gio.DBus.system, UPOWER_BUS_NAME, UPOWER_PATH, (proxy, error) => {
+            if (error || !proxy.g_name_owner) {
+                global.log("UPower is not available, reading /sys/class/power_supply instead.");
+                this.useFallback = true;
+                this.refresh();
+                return;
+            }
+            this.upower = proxy;
+            this._signalIds.push([proxy, proxy.connectSignal("DeviceAdded", (p, sender, [path]) => this._addDevice(path))]);
+            this._signalIds.push([proxy, proxy.connectSignal("DeviceRemoved", (p, sender, [path]) => this._removeDevice(path))]);
+            proxy.EnumerateDevicesRemote(([paths], e) => {
+                if (e) {
+                    global.logError("Failed to enumerate UPower devices: " + e);
+                    return;
+                }
+                paths.forEach((path) => this._addDevice(path));
+            });
+        });
+
+        new UPowerDeviceProxy(Gio.DBus.system, UPOWER_BUS_NAME, UPOWER_DISPLAY_DEVICE_PATH, (proxy, error) => {
+            if (error) {
+                return;
+            }
+            this.displayDevice = proxy;
+            this._signalIds.push([proxy, proxy.connect("g-properties-changed", () => this._changed())]);
+            this._changed();
+        });
+
+        new PowerProfilesProxy(Gio.DBus.system, POWER_PROFILES_BUS_NAME, POWER_PROFILES_PATH, (proxy, error) => {
+            if (error) {
+                return; // power-profiles-daemon is optional
+            }
+            // Kept while the daemon is not running, to notice when it starts or stops
+            this.powerProfiles = proxy;
+            this._signalIds.push([proxy, proxy.connect("g-properties-changed", () => this._changed())]);
+            this._signalIds.push([proxy, proxy.connect("notify::g-name-owner", () => this._changed())]);
+            this._changed();
+        });
+    }
+
+    /**
+     * Re-reads the sysfs power supplies when UPower is unavailable. With UPower the state is
+     * already kept up to date by signals, so this does nothing.
+     */
+    refresh() {
+        if (!this.useFallback) {
+            return;
+        }
+        getPowerSupplies().then((devices) => {
+            this.fallbackDevices = devices;
+            this._changed();
+        }, (e) => global.logError("Failed to read power supplies: " + e));
+    }
+
+    /**
+     * Creates a proxy for a UPower device and tracks its property changes.
+     *
+     * @param {string} path - The D-Bus object path of the device.
+     * @private
+     */
+    _addDevice(path) {
+        if (this.devices.has(path)) {
+            return;
+        }
+        new UPowerDeviceProxy(Gio.DBus.system, UPOWER_BUS_NAME, path, (proxy, error) => {
+            if (error) {
+                global.logError(`Failed to connect to UPower device ${path}: ${error}`);
+                return;
+            }
+            proxy._changedId = proxy.connect("g-properties-changed", () => this._changed());
+            this.devices.set(path, proxy);
+            this._changed();
+        });
+    }
+
+    /**
+     * Stops tracking a UPower device that went away.
+     *
+     * @param {string} path - The D-Bus object path of the device.
+     * @private
+     */
+    _removeDevice(path) {
+        const proxy = this.devices.get(path);
+        if (proxy) {
+            proxy.disconnect(proxy._changedId);
+            this.devices.delete(path);
+            this._changed();
+        }
+    }
+
+    /**
+     * Updates the menu section and notifies the applet about the new state.
+     *
+     * @private
+     */
+    _changed() {
+        this._updateSection();
+        this.onChanged();
+    }
+
+    /**
+     * Returns the power profiles offered by power-profiles-daemon.
+     *
+     * @returns {Array<string>|null} The available profiles in menu order, or null while the
+     * daemon is not running.
+     * @private
+     */
+    _getPowerProfiles() {
+        if (!this.powerProfiles || !this.powerProfiles.g_name_owner) {
+            return null;
+        }
+        const available = (this.powerProfiles.Profiles || []).map((p) => p.Profile.unpack());
+        return POWER_PROFILES.filter((profile) => available.includes(profile));
+    }
+
+    /**
+     * Returns the batteries and peripherals currently known, normalized to plain objects.
+     *
+     * @returns {Array<object>} Device objects with `name`, `percentage`, `state`, `timeToEmpty`,
+     * `timeToFull`, `iconName` and `peripheral` properties.
+     */
+    getDevices() {
+        if (this.useFallback) {
+            return this.fallbackDevices;
+        }
+
+        let devices = [];
+        for (const proxy of this.devices.values()) {
+            if (proxy.Type === UPowerDeviceKind.LINE_POWER || !proxy.IsPresent && proxy.Type === UPowerDeviceKind.BATTERY) {
+                continue;
+            }
+            // Laptop batteries power the system, everything else is a peripheral
+            const peripheral = !(proxy.Type === UPowerDeviceKind.BATTERY && proxy.PowerSupply);
+            devices.push({
+                name: proxy.Model || PERIPHERAL_NAMES[proxy.Type] || _("Battery"),
+                percentage: Math.round(proxy.Percentage),
+                state: proxy.State,
+                timeToEmpty: proxy.TimeToEmpty,
+                timeToFull: proxy.TimeToFull,
+                iconName: proxy.IconName || getBatteryIconName(proxy.Percentage, proxy.State),
+                peripheral,
+            });
+        }
+        return devices;
+    }
+
+    /**
+     * Returns the combined state of the system batteries, or null if the system has none.
+     *
+     * @returns {object|null} A device object as returned by `getDevices()`.
+     */
+    getSummary() {
+        if (!this.useFallback) {
+            const display = this.displayDevice;
+            if (!display || !display.IsPresent || display.Type !== UPowerDeviceKind.BATTERY) {
+                return null;
+            }
+            return {
+                name: _("Battery"),
+                percentage: Math.round(display.Percentage),
+                state: display.State,
+                timeToEmpty: display.TimeToEmpty,
+                timeToFull: display.TimeToFull,
+                iconName: display.IconName || getBatteryIconName(display.Percentage, display.State),
+                peripheral: false,
+            };
+        }
+
+        const batteries = this.fallbackDevices.filter((device) => !device.peripheral);
+        if (batteries.length === 0) {
+            return null;
+        }
+        const percentage = Math.round(batteries.reduce((sum, b) => sum + b.percentage, 0) / batteries.length);
+        const state = batteries.some((b) => b.state === UPowerDeviceState.CHARGING) ? UPowerDeviceState.CHARGING : batteries[0].state;
+        return {
+            name: _("Battery"),
+            percentage,
+            state,
+            timeToEmpty: batteries.reduce((sum, b) => sum + b.timeToEmpty, 0),
+            timeToFull: Math.max(...batteries.map((b) => b.timeToFull)),
+            iconName: getBatteryIconName(percentage, state),
+            peripheral: false,
+        };
+    }
+
+    /**
+     * Returns a one line description of a device's charge, e.g. "78% (Discharging, 3:12 remaining)".
+     *
+     * @param {object} device - A device object as returned by `getDevices()`.
+     * @returns {string} The description.
+     */
+    describe(device) {
+        let details = [BATTERY_STATE_NAMES[device.state] || _("Unknown")];
+        if (device.state === UPowerDeviceState.DISCHARGING && device.timeToEmpty > 0) {
+            details.push(_("%s remaining").replace("%s", formatDuration(device.timeToEmpty)));
+        } else if (device.state === UPowerDeviceState.CHARGING && device.timeToFull > 0) {
+            details.push(_("%s until full").replace("%s", formatDuration(device.timeToFull)));
+        }
+        return `${formatPercent(device.percentage)} (${details.join(", ")})`;
+    }
+
+    /**
+     * Adds the battery section to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the section will be added.
+     */
+    addToMenu(menu) {
+        const section = new PopupMenu.PopupMenuSection();
+        section.connect("destroy", () => {
+            if (this.section === section) {
+                this.section = null;
+                this.items = null;
+            }
+        });
+        this.section = section;
+        this.layout = null;
+        menu.addMenuItem(section);
+        this._updateSection();
+    }
+
+    /**
+     * Describes which items the section needs: the ones for the batteries and peripherals and
+     * the power profiles. Their labels and icons are not part of it.
+     *
+     * @returns {string} A key that changes when devices or power profiles come or go.
+     * @private
+     */
+    _getLayout() {
+        const devices = this.getDevices();
+        const batteries = devices.filter((device) => !device.peripheral);
+        return JSON.stringify([
+            this.getSummary() !== null,
+            batteries.length > 1 ? batteries.length : 0,
+            devices.length - batteries.length,
+            this._getPowerProfiles(),
+        ]);
+    }
+
+    /**
+     * Updates the menu section from the current state. The items are only rebuilt when devices or
+     * power profiles come or go, so an open Power Mode submenu stays open while the charge changes.
+     *
+     * @private
+     */
+    _updateSection() {
+        if (!this.section) {
+            return;
+        }
+        const layout = this._getLayout();
+        if (layout !== this.layout) {
+            this._buildSection();
+            this.layout = layout;
+        }
+        this._sync();
+    }
+
+    /**
+     * Fills the menu section with items for the current batteries, peripherals and power profiles.
+     * Their text is set by `_sync()`.
+     *
+     * @private
+     */
+    _buildSection() {
+        this.section.removeAll();
+        this.items = { summary: null, batteries: [], peripherals: [], profiles: null, profileItems: new Map() };
+
+        const devices = this.getDevices();
+        const batteries = devices.filter((device) => !device.peripheral);
+        const addDeviceItem = () => {
+            const item = new PopupMenu.PopupIconMenuItem("", "battery-missing-symbolic", St.IconType.SYMBOLIC, { reactive: false });
+            this.section.addMenuItem(item);
+            return item;
+        };
+        if (this.getSummary()) {
+            this.items.summary = addDeviceItem();
+        }
+
+        // Only list the individual batteries when there is more than one
+        if (batteries.length > 1) {
+            this.items.batteries = batteries.map(addDeviceItem);
+        }
+        this.items.peripherals = devices.filter((device) => device.peripheral).map(addDeviceItem);
+
+        const profiles = this._getPowerProfiles();
+        if (profiles) {
+            this.items.profiles = new PopupMenu.PopupSubMenuMenuItem(_("Power Mode"));
+            profiles.forEach((profile) => {
+                const item = new PopupMenu.PopupMenuItem(POWER_PROFILE_NAMES[profile]);
+                item.connect("activate", () => {
+                    this.powerProfiles.ActiveProfile = profile; // Applied through the D-Bus property setter
+                });
+                this.items.profiles.menu.addMenuItem(item);
+                this.items.profileItems.set(profile, item);
+            });
+            this.section.addMenuItem(this.items.profiles);
+        }
+
+        if (!this.section.isEmpty()) {
+            this.section.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        }
+    }
+
+    /**
+     * Updates the labels, icons and the active power profile of the section's items.
+     *
+     * @private
+     */
+    _sync() {
+        const update = (item, text, iconName) => {
+            item.label.set_text(text);
+            item.setIconSymbolicName(iconName);
+        };
+        const devices = this.getDevices();
+        const summary = this.getSummary();
+        if (this.items.summary && summary) {
+            update(this.items.summary, `${_("Battery")}: ${this.describe(summary)}`, summary.iconName);
+        }
+        devices.filter((device) => !device.peripheral).forEach((battery, i) => {
+            if (this.items.batteries[i]) {
+                update(this.items.batteries[i], `    ${battery.name}: ${this.describe(battery)}`, battery.iconName);
+            }
+        });
+        devices.filter((device) => device.peripheral).forEach((device, i) => {
+            if (this.items.peripherals[i]) {
+                update(this.items.peripherals[i], `${device.name}: ${formatPercent(device.percentage)}`, device.iconName);
+            }
+        });
+
+        if (this.items.profiles) {
+            const active = this.powerProfiles.ActiveProfile;
+            this.items.profiles.label.set_text(`${_("Power Mode")}: ${POWER_PROFILE_NAMES[active] || active}`);
+            for (const [profile, item] of this.items.profileItems) {
+                item.setOrnament(PopupMenu.OrnamentType.DOT, profile === active);
+            }
+        }
+    }
+
+    /**
+     * Disconnects from all D-Bus signals.
+     */
+    destroy() {
+        this._signalIds.forEach(([proxy, id]) => {
+            if (proxy === this.upower) {
+                proxy.disconnectSignal(id);
+            } else {
+                proxy.disconnect(id);
+            }
+        });
+        this._signalIds = [];
+        for (const proxy of this.devices.values()) {
+            proxy.disconnect(proxy._changedId);
+        }
+        this.devices.clear();
+        this.section = null;
+        this.items = null;
+    }
+}
+
+/**
+ * AudioSection controls the default PulseAudio/PipeWire output and input through Cinnamon's
+ * mixer control: volume sliders, mute switches and pickers for the default sink and source.
+ * The controls follow external changes such as media keys.
+ */
+class AudioSection {
+    /**
+     * Constructor to initialize an AudioSection object.
+     */
+    constructor() {
+        this.control = new Cvc.MixerControl({ name: "Quick Settings" });
+        this.sink = null;
+        this.source = null;
+        this.section = null;
+        this.items = null;
+        this._updating = false;
+        this._deviceIDs = new Set(); // Ids of the sinks and sources, the streams the section lists
+        this._streamSignals = [];
+        this._controlSignals = [];
+    }
+
+    /**
+     * Connects to the sound server and starts following the default devices.
+     */
+    start() {
+        const connect = (signal, callback) => {
+            this._controlSignals.push(this.control.connect(signal, callback));
+        };
+        connect("state-changed", () => this._onDefaultsChanged());
+        connect("default-sink-changed", () => this._onDefaultsChanged());
+        connect("default-source-changed", () => this._onDefaultsChanged());
+        connect("stream-added", (control, id) => this._onStreamAdded(id));
+        connect("stream-removed", (control, id) => this._onStreamRemoved(id));
+        this.control.open();
+    }
+
+    /**
+     * Rebuilds the section when a device is added. Application streams, such as a notification
+     * sound or a browser tab starting playback, are ignored.
+     *
+     * @param {number} id - The id of the new stream.
+     * @private
+     */
+    _onStreamAdded(id) {
+        const stream = this.control.lookup_stream_id(id);
+        if (stream instanceof Cvc.MixerSink || stream instanceof Cvc.MixerSource) {
+            this._deviceIDs.add(id);
+            this._buildSection();
+        }
+    }
+
+    /**
+     * Rebuilds the section when a device is removed. The stream is already gone from the mixer
+     * control, so it is recognized by its id.
+     *
+     * @param {number} id - The id of the removed stream.
+     * @private
+     */
+    _onStreamRemoved(id) {
+        if (this._deviceIDs.delete(id)) {
+            this._buildSection();
+        }
+    }
+
+    /**
+     * Whether the mixer control is connected to the sound server.
+     *
+     * @returns {boolean} True once the control is ready.
+     */
+    isReady() {
+        return this.control.get_state() === Cvc.MixerControlState.READY;
+    }
+
+    /**
+     * Re-binds the default sink and source and refreshes the menu.
+     *
+     * @private
+     */
+    _onDefaultsChanged() {
+        this._streamSignals.forEach(([stream, id]) => stream.disconnect(id));
+        this._streamSignals = [];
+
+        if (!this.isReady()) {
+            this.sink = null;
+            this.source = null;
+            this._buildSection();
+            return;
+        }
+
+        this.sink = this.control.get_default_sink();
+        this.source = this.control.get_default_source();
+        this._deviceIDs = new Set([...this.control.get_sinks(), ...this.control.get_sources()].map((stream) => stream.id));
+        for (const stream of [this.sink, this.source]) {
+            if (stream) {
+                this._streamSignals.push([stream, stream.connect("notify::volume", () => this._sync())]);
+                this._streamSignals.push([stream, stream.connect("notify::is-muted", () => this._sync())]);
+            }
+        }
+        this._buildSection();
+    }
+
+    /**
+     * Returns a stream's volume in percent of the normal maximum.
+     *
+     * @param {object} stream - The Cvc mixer stream.
+     * @returns {number} The volume in percent.
+     */
+    getVolume(stream) {
+        return Math.round(100 * stream.volume / this.control.get_vol_max_norm());
+    }
+
+    /**
+     * Sets a stream's volume and unmutes it when the volume is raised above zero.
+     *
+     * @param {object} stream - The Cvc mixer stream.
+     * @param {number} value - The new volume in percent of the normal maximum.
+     */
+    setVolume(stream, value) {
+        value = Math.min(100, Math.max(0, Math.round(value)));
+        stream.volume = value / 100 * this.control.get_vol_max_norm();
+        stream.push_volume();
+        if (stream.is_muted && value > 0) {
+            stream.change_is_muted(false);
+        }
+    }
+
+    /**
+     * Changes the output volume by a relative amount, as done when scrolling on the applet.
+     *
+     * @param {number} adjustment - The change in percent.
+     * @returns {number|null} The new output volume in percent, or null if there is no output.
+     */
+    adjustVolume(adjustment) {
+        if (!this.sink) {
+            return null;
+        }
+        const volume = Math.min(100, Math.max(0, this.getVolume(this.sink) + adjustment));
+        this.setVolume(this.sink, volume);
+        return volume;
+    }
+
+    /**
+     * Adds the audio section to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the section will be added.
+     */
+    addToMenu(menu) {
+        const section = new PopupMenu.PopupMenuSection();
+        section.connect("destroy", () => {
+            if (this.section === section) {
+                this.section = null;
+                this.items = null;
+            }
+        });
+        this.section = section;
+        menu.addMenuItem(section);
+        this._buildSection();
+    }
+
+    /**
+     * Fills the menu section with the output and input controls and the device pickers.
+     *
+     * @private
+     */
+    _buildSection() {
+        if (!this.section) {
+            return;
+        }
+        this.section.removeAll();
+        this.items = {};
+
+        if (this.sink) {
+            this.items.output = this._addStreamControls(this.sink, _("Volume"), "audio-volume-high-symbolic");
+        }
+        if (this.source) {
+            this.items.input = this._addStreamControls(this.source, _("Microphone"), "audio-input-microphone-symbolic");
+        }
+
+        const sinks = this.isReady() ? this.control.get_sinks() : [];
+        // Monitor sources only mirror an output and are not useful as a microphone
+        const sources = this.isReady() ? this.control.get_sources().filter((s) => !s.name.endsWith(".monitor")) : [];
+        if (sinks.length > 1) {
+            this._addDevicePicker(_("Output"), sinks, this.sink, (stream) => this.control.set_default_sink(stream));
+        }
+        if (sources.length > 1) {
+            this._addDevicePicker(_("Input"), sources, this.source, (stream) => this.control.set_default_source(stream));
+        }
+
+        if (!this.section.isEmpty()) {
+            this.section.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        }
+        this._sync();
+    }
+
+    /**
+     * Adds a mute switch and a volume slider for a stream.
+     *
+     * @param {object} stream - The Cvc mixer stream.
+     * @param {string} name - The name shown on the switch.
+     * @param {string} iconName - The icon shown on the switch.
+     * @returns {object} The created `switch` and `slider` items and the `name`.
+     * @private
+     */
+    _addStreamControls(stream, name, iconName) {
+        // The switch is on while the stream is audible
+        const muteSwitch = new PopupMenu.PopupSwitchIconMenuItem(name, !stream.is_muted, iconName, St.IconType.SYMBOLIC);
+        muteSwitch.connect("toggled", (item) => stream.change_is_muted(!item.state));
+        this.section.addMenuItem(muteSwitch);
+
+        const slider = setupSlider(new PopupMenu.PopupSliderMenuItem(this.getVolume(stream) / 100),
+            (value) => _("%s volume %d percent").replace("%d", Math.round(100 * value)).replace("%s", name));
+        slider.connect("value-changed", (item) => {
+            this._updating = true;
+            this.setVolume(stream, 100 * item.value);
+            this._updating = false;
+        });
+        this.section.addMenuItem(slider);
+
+        return { switch: muteSwitch, slider, name };
+    }
+
+    /**
+     * Adds a submenu listing the available devices, with the default one marked.
+     *
+     * @param {string} title - The submenu title.
+     * @param {Array<object>} streams - The Cvc mixer streams to list.
+     * @param {object} current - The current default stream.
+     * @param {function} setDefault - Called with the stream that was picked.
+     * @private
+     */
+    _addDevicePicker(title, streams, current, setDefault) {
+        const picker = new PopupMenu.PopupSubMenuMenuItem(
+            `${title}: ${current ? current.description : _("None")}`);
+        streams.forEach((stream) => {
+            const item = new PopupMenu.PopupMenuItem(stream.description);
+            item.setOrnament(PopupMenu.OrnamentType.DOT, current !== null && stream.id === current.id);
+            item.connect("activate", () => setDefault(stream));
+            picker.menu.addMenuItem(item);
+        });
+        this.section.addMenuItem(picker);
+    }
+
+    /**
+     * Updates the switches, labels and sliders from the current stream state.
+     *
+     * @private
+     */
+    _sync() {
+        if (!this.items) {
+            return;
+        }
+        const update = (controls, stream) => {
+            if (!controls || !stream) {
+                return;
+            }
+            const volume = this.getVolume(stream);
+            controls.switch.setToggleState(!stream.is_muted);
+            controls.switch.label.set_text(`${controls.name}  (${stream.is_muted ? _("Muted") : formatPercent(volume)})`);
+            if (!this._updating) {
+                // Skip while the slider itself is the source of the change
+                controls.slider.setValue(volume / 100);
+            }
+        };
+        update(this.items.output, this.sink);
+        update(this.items.input, this.source);
+    }
+
+    /**
+     * Disconnects from the sound server.
+     */
+    destroy() {
+        this._streamSignals.forEach(([stream, id]) => stream.disconnect(id));
+        this._streamSignals = [];
+        this._controlSignals.forEach((id) => this.control.disconnect(id));
+        this._controlSignals = [];
+        this.control.close();
+        this.section = null;
+        this.items = null;
+    }
+}
+
+/**
+ * NightLight drives the night light of Cinnamon's settings daemon through the
+ * `org.cinnamon.settings-daemon.plugins.color` GSettings keys: the on/off switch, the color
+ * temperature and the schedule. Changes made in Cinnamon Settings are reflected immediately.
+ */
+class NightLight {
+    /**
+     * Constructor to initialize a NightLight object.
+     *
+     * @param {function} onChanged - Called when the night light is turned on or off.
+     */
+    constructor(onChanged) {
+        const source = Gio.SettingsSchemaSource.get_default();
+        this.settings = source.lookup(NIGHT_LIGHT_SCHEMA, true) ? new Gio.Settings({ schema_id: NIGHT_LIGHT_SCHEMA }) : null;
+        this.onChanged = onChanged;
+        this.label = null;
+        this.slider = null;
+        this.schedule = null;
+        this.scheduleTimeoutID = null;
+        this._signals = [];
+
+        if (this.settings) {
+            this._signals.push(this.settings.connect("changed::night-light-enabled", () => {
+                this._sync();
+                this.onChanged();
+            }));
+            this._signals.push(this.settings.connect("changed::night-light-temperature", () => this._sync()));
+        }
+    }
+
+    /**
+     * Whether the settings daemon provides a night light.
+     *
+     * @returns {boolean} True if the color plugin schema is installed.
+     */
+    isAvailable() {
+        return this.settings !== null;
+    }
+
+    /**
+     * Whether the night light is enabled.
+     *
+     * @returns {boolean} True if enabled.
+     */
+    isEnabled() {
+        return this.isAvailable() && this.settings.get_boolean("night-light-enabled");
+    }
+
+    /**
+     * Enables or disables the night light.
+     *
+     * @param {boolean} enabled - The new state.
+     */
+    setEnabled(enabled) {
+        if (this.isAvailable()) {
+            this.settings.set_boolean("night-light-enabled", enabled);
+        }
+    }
+
+    /**
+     * Returns the night light color temperature.
+     *
+     * @returns {number} The color temperature in Kelvin.
+     */
+    getTemperature() {
+        return this.settings.get_uint("night-light-temperature");
+    }
+
+    /**
+     * Sets the night light color temperature.
+     *
+     * @param {number} temperature - The color temperature in Kelvin.
+     */
+    setTemperature(temperature) {
+        if (this.isAvailable()) {
+            const clamped = Math.min(NIGHT_LIGHT_MAX_TEMPERATURE, Math.max(NIGHT_LIGHT_MIN_TEMPERATURE, Math.round(temperature)));
+            this.settings.set_uint("night-light-temperature", clamped);
+        }
+    }
+
+    /**
+     * Adds the color temperature slider to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the slider will be added.
+     */
+    addToMenu(menu) {
+        if (!this.isAvailable()) {
+            return;
+        }
+        this.label = new PopupMenu.PopupMenuItem(_("Night Light Temperature"), {
+            reactive: false,
+        });
+        menu.addMenuItem(this.label);
+
+        this.slider = setupSlider(new PopupMenu.PopupSliderMenuItem(0),
+            (value) => _("Night Light temperature %d Kelvin").replace("%d", this._sliderToTemperature(value)));
+        // Further right is warmer
+        this.slider.connect("value-changed", (slider) => {
+            this._updateLabel(this._sliderToTemperature(slider.value));
+        });
+        this.slider.connect("drag-end", (slider) => {
+            this.setTemperature(this._sliderToTemperature(slider.value));
+        });
+        menu.addMenuItem(this.slider);
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._sync();
+    }
+
+    /**
+     * Converts a slider position to a color temperature in Kelvin.
+     *
+     * @param {number} value - The slider position between 0 and 1.
+     * @returns {number} The color temperature.
+     * @private
+     */
+    _sliderToTemperature(value) {
+        const temperature = NIGHT_LIGHT_MAX_TEMPERATURE - value * (NIGHT_LIGHT_MAX_TEMPERATURE - NIGHT_LIGHT_MIN_TEMPERATURE);
+        return Math.round(temperature / 50) * 50;
+    }
+
+    /**
+     * Updates the temperature label.
+     *
+     * @param {number} temperature - The color temperature in Kelvin.
+     * @private
+     */
+    _updateLabel(temperature) {
+        if (this.label) {
+            this.label.setLabel(`${_("Night Light Temperature")}  (${_("%d K").replace("%d", temperature)})`);
+        }
+    }
+
+    /**
+     * Updates the slider from the GSettings keys.
+     *
+     * @private
+     */
+    _sync() {
+        const temperature = this.getTemperature();
+        if (this.slider) {
+            const value = (NIGHT_LIGHT_MAX_TEMPERATURE - temperature) / (NIGHT_LIGHT_MAX_TEMPERATURE - NIGHT_LIGHT_MIN_TEMPERATURE);
+            this.slider.setValue(Math.min(1, Math.max(0, value)));
+        }
+        this._updateLabel(temperature);
+    }
+
+    /**
+     * Sets how the night light is scheduled and applies it.
+     *
+     * @param {object} schedule - The schedule configuration.
+     * @param {string} schedule.mode - "system" to keep Cinnamon's own schedule, "manual" to use the
+     * `from`/`to` times or "sunset" to compute them from the location.
+     * @param {string} schedule.from - The manual start time, as "HH:MM".
+     * @param {string} schedule.to - The manual end time, as "HH:MM".
+     * @param {number} schedule.latitude - The latitude used for the sunset schedule, in degrees.
+     * @param {number} schedule.longitude - The longitude used for the sunset schedule, in degrees.
+     */
+    setSchedule(schedule) {
+        this.schedule = schedule;
+        this._applySchedule();
+    }
+
+    /**
+     * Writes the schedule to the GSettings keys. The sunset schedule is recomputed every night
+     * shortly after midnight, as sunrise and sunset move through the year.
+     *
+     * @private
+     */
+    _applySchedule() {
+        clearTimeout(this.scheduleTimeoutID);
+        this.scheduleTimeoutID = null;
+        if (!this.isAvailable() || !this.schedule || this.schedule.mode === "system") {
+            return;
+        }
+
+        let from;
+        let to;
+        if (this.schedule.mode === "sunset") {
+            const now = new Date();
+            const times = getSunTimes(now, this.schedule.latitude, this.schedule.longitude);
+            if (times) {
+                from = times.sunset;
+                to = times.sunrise;
+            }
+
+            const nextRun = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 5);
+            this.scheduleTimeoutID = setTimeout(() => this._applySchedule(), nextRun - now);
+        } else {
+            from = parseTime(this.schedule.from);
+            to = parseTime(this.schedule.to);
+        }
+
+        if (from === null || to === null || from === undefined || to === undefined) {
+            // Invalid times, or polar day/night: leave the current schedule alone
+            global.logError("Could not compute a night light schedule, keeping the current one.");
+            return;
+        }
+
+        this.settings.set_boolean("night-light-schedule-automatic", false);
+        this.settings.set_double("night-light-schedule-from", from);
+        this.settings.set_double("night-light-schedule-to", to);
+    }
+
+    /**
+     * Disconnects from the GSettings signals and stops the schedule timer.
+     */
+    destroy() {
+        clearTimeout(this.scheduleTimeoutID);
+        this.scheduleTimeoutID = null;
+        this._signals.forEach((id) => this.settings.disconnect(id));
+        this._signals = [];
+    }
+}
+
+/**
+ * DoNotDisturb hides notification popups through Cinnamon's
+ * `org.cinnamon.desktop.notifications` `display-notifications` key, either until it is turned off
+ * or for a limited time. The end time is kept by the applet, so a timed Do Not Disturb still ends
+ * when the applet was reloaded in between. Notifications that arrive meanwhile are counted, until
+ * they are dismissed in the notifications applet or Do Not Disturb is turned off.
+ */
+class DoNotDisturb {
+    /**
+     * Constructor to initialize a DoNotDisturb object.
+     *
+     * @param {function} onChanged - Called when Do Not Disturb is turned on or off, or its end
+     * time changes.
+     */
+    constructor(onChanged) {
+        const source = Gio.SettingsSchemaSource.get_default();
+        this.settings = source.lookup(NOTIFICATIONS_SCHEMA, true) ? new Gio.Settings({ schema_id: NOTIFICATIONS_SCHEMA }) : null;
+        this.onChanged = onChanged;
+        this.until = null; // End time in milliseconds since the epoch, null when not timed
+        this.timeoutID = null;
+        this.clockIntervalID = null;
+        this.submenu = null;
+        this._signals = [];
+        this.missed = new Map(); // Notification received while active -> its destroy signal id
+        this.traySignalID = null;
+
+        if (this.settings) {
+            this._signals.push(this.settings.connect("changed::display-notifications", () => {
+                if (!this.isActive()) {
+                    this._setUntil(null); // Turned off elsewhere, e.g. in Cinnamon Settings
+                }
+                this._clearMissed();
+                this._sync();
+                this.onChanged();
+            }));
+            try {
+                // Emitted for every notification, also the ones whose popup is hidden
+                this.traySignalID = Main.messageTray.connect("notify-applet-update", (tray, notification) => this._onNotification(notification));
+            } catch (e) {
+                global.logError("Cannot count notifications in Quick Settings applet: " + e.message);
+            }
+        }
+    }
+
+    /**
+     * Counts a notification received while Do Not Disturb is on.
+     *
+     * @param {MessageTray.Notification} notification - The notification.
+     * @private
+     */
+    _onNotification(notification) {
+        if (!this.isActive() || this.missed.has(notification)) {
+            return;
+        }
+        // Dismissed notifications no longer count
+        this.missed.set(notification, notification.connect("destroy", () => {
+            this.missed.delete(notification);
+            this._sync();
+            this.onChanged();
+        }));
+        this._sync();
+        this.onChanged();
+    }
+
+    /**
+     * Forgets the counted notifications.
+     *
+     * @private
+     */
+    _clearMissed() {
+        this.missed.forEach((id, notification) => notification.disconnect(id));
+        this.missed.clear();
+    }
+
+    /**
+     * Returns how many notifications arrived while Do Not Disturb is on and are not dismissed yet.
+     *
+     * @returns {number} The count.
+     */
+    getMissedCount() {
+        return this.missed.size;
+    }
+
+    /**
+     * Whether Cinnamon's notification settings are available.
+     *
+     * @returns {boolean} True if the notifications schema is installed.
+     */
+    isAvailable() {
+        return this.settings !== null;
+    }
+
+    /**
+     * Whether Do Not Disturb is on, i.e. notification popups are hidden.
+     *
+     * @returns {boolean} True if active.
+     */
+    isActive() {
+        return this.isAvailable() && !this.settings.get_boolean("display-notifications");
+    }
+
+    /**
+     * Returns when a timed Do Not Disturb ends.
+     *
+     * @returns {number|null} The end time in milliseconds since the epoch, or null.
+     */
+    getUntil() {
+        return this.isActive() ? this.until : null;
+    }
+
+    /**
+     * Turns Do Not Disturb on or off.
+     *
+     * @param {boolean} active - The new state.
+     * @param {number|null} [until=null] - When to turn it off again, in milliseconds since the
+     * epoch. Null keeps it on until it is turned off.
+     */
+    setActive(active, until = null) {
+        if (!this.isAvailable()) {
+            return;
+        }
+        this._setUntil(active ? until : null);
+        if (this.isActive() !== active) {
+            this.settings.set_boolean("display-notifications", !active); // Calls onChanged
+        } else {
+            this._sync();
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Picks up a timed Do Not Disturb saved before the applet was reloaded, ending it if its
+     * time has already passed.
+     *
+     * @param {number|null} until - The saved end time in milliseconds since the epoch.
+     */
+    restore(until) {
+        if (typeof until !== "number" || !this.isActive()) {
+            return;
+        }
+        if (until <= Date.now()) {
+            this.setActive(false);
+        } else {
+            this._setUntil(until);
+            this._sync();
+        }
+    }
+
+    /**
+     * Sets the end time and the timer that turns Do Not Disturb off at that time. The timer does
+     * not run during suspend, so the clock is also checked every minute, e.g. for "Until
+     * tomorrow" on a laptop that sleeps overnight.
+     *
+     * @param {number|null} until - The end time in milliseconds since the epoch, or null.
+     * @private
+     */
+    _setUntil(until) {
+        clearTimeout(this.timeoutID);
+        clearInterval(this.clockIntervalID);
+        this.timeoutID = null;
+        this.clockIntervalID = null;
+        this.until = until;
+        if (until !== null) {
+            this.timeoutID = setTimeout(() => {
+                this.timeoutID = null;
+                this.setActive(false);
+            }, Math.max(0, until - Date.now()));
+            this.clockIntervalID = setInterval(() => {
+                if (Date.now() >= until) {
+                    this.setActive(false);
+                }
+            }, CLOCK_CHECK_INTERVAL);
+        }
+    }
+
+    /**
+     * Describes when Do Not Disturb ends and how many notifications arrived meanwhile.
+     *
+     * @returns {string} E.g. "Until 15:30, 3 notifications", or an empty string when it is off,
+     * or on without an end time or notifications.
+     */
+    describe() {
+        let parts = [];
+        const until = this.getUntil();
+        if (until !== null) {
+            const end = GLib.DateTime.new_from_unix_local(Math.floor(until / 1000));
+            const today = GLib.DateTime.new_now_local();
+            const sameDay = end.get_year() === today.get_year() && end.get_day_of_year() === today.get_day_of_year();
+            parts.push(_("Until %s").replace("%s", sameDay ? end.format("%H:%M") : end.format("%a %H:%M")));
+        }
+        const missed = this.isActive() ? this.getMissedCount() : 0;
+        if (missed > 0) {
+            parts.push(ngettext("%d notification", "%d notifications", missed).replace("%d", missed));
+        }
+        return parts.join(", ");
+    }
+
+    /**
+     * Adds the submenu with the timed variants to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the submenu will be added.
+     */
+    addToMenu(menu) {
+        if (!this.isAvailable()) {
+            return;
+        }
+        const submenu = new PopupMenu.PopupSubMenuMenuItem(_("Do Not Disturb"));
+        submenu.connect("destroy", () => {
+            if (this.submenu === submenu) {
+                this.submenu = null;
+            }
+        });
+
+        const variants = [
+            [ngettext("For %d hour", "For %d hours", 1).replace("%d", 1), () => Date.now() + 60 * 60 * 1000],
+            [_("Until tomorrow"), () => {
+                const now = new Date();
+                return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+            }],
+            [_("Until turned off"), () => null],
+        ];
+        for (const [label, getUntil] of variants) {
+            submenu.menu.addAction(label, () => this.setActive(true, getUntil()));
+        }
+        submenu.menu.addAction(_("Turn off"), () => this.setActive(false));
+
+        this.submenu = submenu;
+        menu.addMenuItem(submenu);
+        this._sync();
+    }
+
+    /**
+     * Updates the submenu label from the current state.
+     *
+     * @private
+     */
+    _sync() {
+        const description = this.describe();
+        if (this.submenu) {
+            const state = this.isActive() ? (description || _("On")) : _("Off");
+            this.submenu.label.set_text(`${_("Do Not Disturb")}: ${state}`);
+        }
+    }
+
+    /**
+     * Disconnects from the GSettings signals and stops the timer. A timed Do Not Disturb stays on
+     * and is ended by `restore()` the next time the applet loads.
+     */
+    destroy() {
+        clearTimeout(this.timeoutID);
+        clearInterval(this.clockIntervalID);
+        this.timeoutID = null;
+        this.clockIntervalID = null;
+        this._signals.forEach((id) => this.settings.disconnect(id));
+        this._signals = [];
+        if (this.traySignalID) {
+            Main.messageTray.disconnect(this.traySignalID);
+            this.traySignalID = null;
+        }
+        this._clearMissed();
+    }
+}
+
+/**
+ * KeepAwake stops the screen from blanking and the system from suspending, until it is turned
+ * off or for a limited time. It takes an inhibitor from the session manager, or from logind when
+ * there is no session manager, and releases it when the time is up or the applet is removed.
+ */
+class KeepAwake {
+    /**
+     * Constructor to initialize a KeepAwake object.
+     *
+     * @param {string} uuid - The applet UUID, used as the application id of the inhibitor.
+     * @param {function} onChanged - Called when keeping awake starts or stops, and every minute
+     * while a timed one runs.
+     */
+    constructor(uuid, onChanged) {
+        this.uuid = uuid;
+        this.onChanged = onChanged;
+        this.cookie = null; // Session manager inhibitor
+        this.fd = null; // logind inhibitor, released by closing it
+        this.until = null; // End time in milliseconds since the epoch, null when not timed
+        this.pending = Promise.resolve(); // The last change, which the next one waits for
+        this.timeoutID = null;
+        this.tickIntervalID = null;
+        this.submenu = null;
+        this.inhibitorSection = null;
+    }
+
+    /**
+     * Whether the applet holds an inhibitor.
+     *
+     * @returns {boolean} True if active.
+     */
+    isActive() {
+        return this.cookie !== null || this.fd !== null;
+    }
+
+    /**
+     * Starts or stops keeping the system awake.
+     *
+     * @param {boolean} active - The new state.
+     * @param {number|null} [until=null] - When to stop, in milliseconds since the epoch. Null
+     * keeps it awake until it is turned off.
+     * @returns {Promise} A promise that resolves once the inhibitor is taken or released, or
+     * rejects if no inhibitor could be taken.
+     */
+    setActive(active, until = null) {
+        // Wait for a request still in flight, so two quick activations take only one inhibitor
+        const result = this.pending.then(() => {
+            if (!active) {
+                this._release();
+            } else if (!this.isActive()) {
+                return this._inhibit();
+            }
+            return null; // Only the duration changes
+        }).then(() => {
+            this._setUntil(active ? until : null);
+            this._sync();
+            this.onChanged();
+        });
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Changes the state from the menu, telling the user if no inhibitor could be taken.
+     *
+     * @param {boolean} active - The new state.
+     * @param {number|null} [until=null] - When to stop, in milliseconds since the epoch.
+     * @private
+     */
+    _setActiveFromMenu(active, until = null) {
+        this.setActive(active, until).catch((e) => {
+            global.logError(`Failed to keep the system awake: ${e}`);
+            new ModalDialog.NotifyDialog(`${_("Keep Awake")}: ${_("failed")}\n${e.message || e}`).open();
+        });
+    }
+
+    /**
+     * Takes an inhibitor from the session manager, falling back to logind.
+     *
+     * @returns {Promise} A promise that resolves once an inhibitor is held.
+     * @private
+     */
+    _inhibit() {
+        const parameters = new GLib.Variant("(susu)", [this.uuid, 0, _("Keep awake"), SESSION_INHIBIT_IDLE | SESSION_INHIBIT_SUSPEND]);
+        return callDBus(Gio.DBus.session, SESSION_MANAGER_BUS_NAME, SESSION_MANAGER_PATH, SESSION_MANAGER_INTERFACE, "Inhibit", parameters).then((result) => {
+            [this.cookie] = result.deep_unpack();
+        }, (e) => {
+            global.log(`Session manager inhibitor not available, trying logind: ${e}`);
+            return this._inhibitLogind();
+        });
+    }
+
+    /**
+     * Takes an idle and sleep inhibitor from logind. logind hands out a file descriptor that
+     * holds the inhibitor until it is closed.
+     *
+     * @returns {Promise} A promise that resolves once the inhibitor is held.
+     * @private
+     */
+    _inhibitLogind() {
+        const parameters = new GLib.Variant("(ssss)", ["idle:sleep", this.uuid, _("Keep awake"), "block"]);
+        return new Promise((resolve, reject) => {
+            Gio.DBus.system.call_with_unix_fd_list(LOGIND_BUS_NAME, LOGIND_PATH, LOGIND_MANAGER_INTERFACE, "Inhibit",
+                parameters, null, Gio.DBusCallFlags.NONE, -1, null, null, (conn, result) => {
+                    try {
+                        const [reply, fdList] = conn.call_with_unix_fd_list_finish(result);
+                        this.fd = fdList.get(reply.deep_unpack()[0]);
+                        resolve();
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+        });
+    }
+
+    /**
+     * Releases the inhibitor the applet holds.
+     *
+     * @private
+     */
+    _release() {
+        if (this.cookie !== null) {
+            callDBus(Gio.DBus.session, SESSION_MANAGER_BUS_NAME, SESSION_MANAGER_PATH, SESSION_MANAGER_INTERFACE, "Uninhibit",
+                new GLib.Variant("(u)", [this.cookie])).catch((e) => global.logError(`Failed to release the inhibitor: ${e}`));
+            this.cookie = null;
+        }
+        if (this.fd !== null) {
+            GLib.close(this.fd);
+            this.fd = null;
+        }
+    }
+
+    /**
+     * Sets the end time, with a timer that stops keeping awake at that time and another that
+     * updates the remaining time every minute.
+     *
+     * @param {number|null} until - The end time in milliseconds since the epoch, or null.
+     * @private
+     */
+    _setUntil(until) {
+        clearTimeout(this.timeoutID);
+        clearInterval(this.tickIntervalID);
+        this.timeoutID = null;
+        this.tickIntervalID = null;
+        this.until = until;
+        if (until !== null) {
+            const stop = () => this.setActive(false).catch((e) => global.logError(`Failed to release the inhibitor: ${e}`));
+            this.timeoutID = setTimeout(() => {
+                this.timeoutID = null;
+                stop();
+            }, Math.max(0, until - Date.now()));
+            this.tickIntervalID = setInterval(() => {
+                // The timeout does not count the time the system was suspended
+                if (Date.now() >= until) {
+                    stop();
+                    return;
+                }
+                this._sync();
+                this.onChanged();
+            }, CLOCK_CHECK_INTERVAL);
+        }
+    }
+
+    /**
+     * Describes how long the system is kept awake.
+     *
+     * @returns {string} E.g. "0:25 remaining", or an empty string when it is off or not timed.
+     */
+    describe() {
+        if (!this.isActive() || this.until === null) {
+            return "";
+        }
+        // Rounded up, so the last minute does not show as 0:00
+        const seconds = Math.ceil((this.until - Date.now()) / 60000) * 60;
+        return _("%s remaining").replace("%s", formatDuration(Math.max(0, seconds)));
+    }
+
+    /**
+     * Returns the inhibitors held by other applications that keep the system awake: those that
+     * block idling or suspending, not logout or switching users, nor logind's delay inhibitors.
+     *
+     * @returns {Promise<Array<object>>} A promise that resolves with inhibitors with `app` and
+     * `reason`, from the session manager and from logind.
+     */
+    getOtherInhibitors() {
+        const session = callDBus(Gio.DBus.session, SESSION_MANAGER_BUS_NAME, SESSION_MANAGER_PATH, SESSION_MANAGER_INTERFACE, "GetInhibitors", null).then((result) => {
+            const [paths] = result.deep_unpack();
+            return Promise.all(paths.map((path) => Promise.all(["GetAppId", "GetReason", "GetFlags"].map((method) => {
+                return callDBus(Gio.DBus.session, SESSION_MANAGER_BUS_NAME, path, SESSION_INHIBITOR_INTERFACE, method, null)
+                    .then((reply) => reply.deep_unpack()[0]);
+            })).then(([app, reason, flags]) => ({ app, reason, flags }))));
+        }).then((inhibitors) => {
+            return inhibitors.filter((inhibitor) => inhibitor.flags & (SESSION_INHIBIT_IDLE | SESSION_INHIBIT_SUSPEND))
+                .map(({ app, reason }) => ({ app, reason }));
+        }).catch(() => []);
+        const logind = callDBus(Gio.DBus.system, LOGIND_BUS_NAME, LOGIND_PATH, LOGIND_MANAGER_INTERFACE, "ListInhibitors", null).then((result) => {
+            const [inhibitors] = result.deep_unpack();
+            // Each is (what, who, why, mode, uid, pid), with what a colon-separated list
+            return inhibitors
+                .filter(([what, , , mode]) => mode === "block" && what.split(":").some((lock) => lock === "idle" || lock === "sleep"))
+                .map(([, who, why]) => ({ app: who, reason: why }));
+        }).catch(() => []);
+        return Promise.all([session, logind]).then(([a, b]) => [...a, ...b].filter((inhibitor) => inhibitor.app !== this.uuid));
+    }
+
+    /**
+     * Adds the submenu with the durations and the other inhibitors to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the submenu will be added.
+     */
+    addToMenu(menu) {
+        const submenu = new PopupMenu.PopupSubMenuMenuItem(_("Keep Awake"));
+        submenu.connect("destroy", () => {
+            if (this.submenu === submenu) {
+                this.submenu = null;
+                this.inhibitorSection = null;
+            }
+        });
+
+        const variants = [
+            [ngettext("For %d minute", "For %d minutes", 30).replace("%d", 30), () => Date.now() + 30 * 60 * 1000],
+            [ngettext("For %d hour", "For %d hours", 1).replace("%d", 1), () => Date.now() + 60 * 60 * 1000],
+            [_("Until turned off"), () => null],
+        ];
+        for (const [label, getUntil] of variants) {
+            submenu.menu.addAction(label, () => this._setActiveFromMenu(true, getUntil()));
+        }
+        submenu.menu.addAction(_("Turn off"), () => this._setActiveFromMenu(false));
+
+        this.inhibitorSection = new PopupMenu.PopupMenuSection();
+        submenu.menu.addMenuItem(this.inhibitorSection);
+        submenu.menu.connect("open-state-changed", (m, open) => {
+            if (open) {
+                this._updateInhibitors();
+            }
+        });
+
+        this.submenu = submenu;
+        menu.addMenuItem(submenu);
+        this._sync();
+    }
+
+    /**
+     * Lists the inhibitors held by other applications in the submenu.
+     *
+     * @private
+     */
+    _updateInhibitors() {
+        this.getOtherInhibitors().then((inhibitors) => {
+            const section = this.inhibitorSection;
+            if (!section) {
+                return;
+            }
+            section.removeAll();
+            if (inhibitors.length === 0) {
+                return;
+            }
+            section.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            section.addMenuItem(new PopupMenu.PopupMenuItem(_("Also kept awake by:"), { reactive: false }));
+            for (const inhibitor of inhibitors) {
+                const text = inhibitor.reason ? `${inhibitor.app}: ${inhibitor.reason}` : inhibitor.app;
+                section.addMenuItem(new PopupMenu.PopupMenuItem(`    ${text}`, { reactive: false }));
+            }
+        });
+    }
+
+    /**
+     * Updates the submenu label from the current state.
+     *
+     * @private
+     */
+    _sync() {
+        if (this.submenu) {
+            const state = this.isActive() ? (this.describe() || _("On")) : _("Off");
+            this.submenu.label.set_text(`${_("Keep Awake")}: ${state}`);
+        }
+    }
+
+    /**
+     * Releases the inhibitor and stops the timers.
+     */
+    destroy() {
+        this._release();
+        this._setUntil(null);
+        // Also once a change still in flight has finished, e.g. an inhibitor still being taken
+        this.pending.then(() => {
+            this._release();
+            this._setUntil(null);
+        });
+    }
+}
+
+/**
+ * ConfirmationDialog asks the user to confirm a session action such as shutting down. The
+ * action runs automatically once the countdown reaches zero.
+ *
+ * @extends ModalDialog.ModalDialog
+ */
+class ConfirmationDialog extends ModalDialog.ModalDialog {
+    /**
+     * Constructor to initialize a ConfirmationDialog object.
+     *
+     * @param {object} action - The power action, as listed in `POWER_ACTIONS`.
+     * @param {number} seconds - The countdown length in seconds.
+     * @param {function} callback - Called when the action is confirmed or the countdown ends.
+     */
+    constructor(action, seconds, callback) {
+        super();
+        this.action = action;
+        this.remaining = seconds;
+        this.callback = callback;
+        this.intervalID = null;
+
+        const title = new St.Label({ text: action.label, style_class: "quicksettings-dialog-title" });
+        this.contentLayout.add_child(title);
+        this.message = new St.Label({ text: "" });
+        this.contentLayout.add_child(this.message);
+
+        this.setButtons([
+            {
+                label: _("Cancel"),
+                action: () => this._finish(false),
+                key: Clutter.KEY_Escape,
+            },
+            {
+                label: action.label,
+                action: () => this._finish(true),
+            },
+        ]);
+    }
+
+    /**
+     * Opens the dialog and starts the countdown.
+     */
+    open() {
+        this._updateMessage();
+        super.open();
+        this.intervalID = setInterval(() => {
+            this.remaining--;
+            if (this.remaining <= 0) {
+                this._finish(true);
+            } else {
+                this._updateMessage();
+            }
+        }, 1000);
+    }
+
+    /**
+     * Updates the countdown message.
+     *
+     * @private
+     */
+    _updateMessage() {
+        this.message.set_text(this.action.countdownMessage(this.remaining).replace("%d", this.remaining));
+    }
+
+    /**
+     * Stops the countdown, closes the dialog and runs the action if it was confirmed.
+     *
+     * @param {boolean} confirmed - Whether the action should run.
+     * @private
+     */
+    _finish(confirmed) {
+        clearInterval(this.intervalID);
+        this.intervalID = null;
+        this.close();
+        this.destroy();
+        if (confirmed) {
+            this.callback();
+        }
+    }
+}
+
+/**
+ * PowerSection adds a row of session actions at the bottom of the popup: shut down, restart,
+ * suspend, hibernate, lock screen and log out. Actions logind does not allow are hidden, and
+ * destructive actions can ask for confirmation first.
+ */
+class PowerSection {
+    /**
+     * Constructor to initialize a PowerSection object.
+     */
+    constructor() {
+        // Actions that depend on logind stay hidden until it confirms they are allowed
+        this.available = { shutdown: false, restart: false, suspend: false, hibernate: false, lock: true, logout: true };
+        this.confirm = {};
+        this.countdown = 30;
+        this.menu = null;
+        this.box = null;
+    }
+
+    /**
+     * Asks logind which actions are allowed on this system.
+     */
+    start() {
+        const checks = { shutdown: "CanPowerOff", restart: "CanReboot", suspend: "CanSuspend", hibernate: "CanHibernate" };
+        for (const [id, method] of Object.entries(checks)) {
+            callDBus(Gio.DBus.system, LOGIND_BUS_NAME, LOGIND_PATH, LOGIND_MANAGER_INTERFACE, method, null).then((result) => {
+                // "challenge" means allowed after authentication
+                const [answer] = result.deep_unpack();
+                this.available[id] = answer === "yes" || answer === "challenge";
+                this._buildButtons();
+            }, (e) => global.logError(`Failed to query logind ${method}: ${e}`));
+        }
+    }
+
+    /**
+     * Sets which actions ask for confirmation and how long the countdown lasts.
+     *
+     * @param {object} confirm - Maps action ids to whether they need confirmation.
+     * @param {number} countdown - The countdown length in seconds.
+     */
+    configure(confirm, countdown) {
+        this.confirm = confirm;
+        this.countdown = countdown;
+    }
+
+    /**
+     * Adds the row of action buttons to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the row will be added.
+     */
+    addToMenu(menu) {
+        const item = new PopupMenu.PopupBaseMenuItem({ reactive: false });
+        const box = new St.BoxLayout({ vertical: false, x_expand: true });
+        addRowNavigation(box);
+        box.connect("destroy", () => {
+            if (this.box === box) {
+                this.box = null;
+            }
+        });
+        this.box = box;
+        this.menu = menu;
+        item.addActor(box, { expand: true, span: -1, align: St.Align.MIDDLE });
+        menu.addMenuItem(item);
+        this._buildButtons();
+    }
+
+    /**
+     * Fills the row with a button for each available action.
+     *
+     * @private
+     */
+    _buildButtons() {
+        if (!this.box) {
+            return;
+        }
+        this.box.destroy_all_children();
+        POWER_ACTIONS.filter((action) => this.available[action.id]).forEach((action) => {
+            this.box.add_child(createIconButton(action.iconName, action.label, () => this._activate(action)));
+        });
+    }
+
+    /**
+     * Runs an action, going through the confirmation dialog when it is configured to.
+     *
+     * @param {object} action - The power action, as listed in `POWER_ACTIONS`.
+     * @private
+     */
+    _activate(action) {
+        if (this.menu) {
+            this.menu.close();
+        }
+        if (this.confirm[action.id] && this.countdown > 0) {
+            new ConfirmationDialog(action, this.countdown, () => this._run(action)).open();
+        } else {
+            this._run(action);
+        }
+    }
+
+    /**
+     * Executes an action.
+     *
+     * @param {object} action - The power action, as listed in `POWER_ACTIONS`.
+     * @private
+     */
+    _run(action) {
+        let promise;
+        switch (action.id) {
+            case "lock":
+                promise = commandRunner.check("cinnamon-screensaver-command --lock");
+                break;
+            case "logout":
+                // Mode 1 logs out without the session manager's own confirmation
+                promise = callDBus(Gio.DBus.session, SESSION_MANAGER_BUS_NAME, SESSION_MANAGER_PATH,
+                    SESSION_MANAGER_INTERFACE, "Logout", new GLib.Variant("(u)", [1]));
+                break;
+            default:
+                // The interactive flag lets polkit ask for a password when needed
+                promise = callDBus(Gio.DBus.system, LOGIND_BUS_NAME, LOGIND_PATH, LOGIND_MANAGER_INTERFACE,
+                    action.logindMethod, new GLib.Variant("(b)", [true]));
+        }
+        promise.catch((e) => {
+            global.logError(`Failed to ${action.id}: ${e}`);
+            new ModalDialog.NotifyDialog(`${action.label}: ${_("failed")}\n${e.message || e}`).open();
+        });
+    }
+}
+
+/**
+ * PasswordDialog asks for the password of a secured Wi-Fi network.
+ *
+ * @extends ModalDialog.ModalDialog
+ */
+class PasswordDialog extends ModalDialog.ModalDialog {
+    /**
+     * Constructor to initialize a PasswordDialog object.
+     *
+     * @param {string} ssid - The name of the network.
+     * @param {string} keyManagement - The network's key management, "wpa-psk" or "sae", which
+     * decides what a valid password is.
+     * @param {function} callback - Called with the password when the user connects.
+     */
+    constructor(ssid, keyManagement, callback) {
+        super();
+        this.keyManagement = keyManagement;
+        this.callback = callback;
+
+        const title = new St.Label({
+            text: _("Authentication required for %s").replace("%s", ssid),
+            style_class: "quicksettings-dialog-title",
+        });
+        this.contentLayout.add_child(title);
+
+        this.entry = new St.Entry({ hint_text: _("Password"), can_focus: true, style_class: "quicksettings-password-entry" });
+        this.entry.clutter_text.set_password_char("●");
+        this.entry.clutter_text.connect("activate", () => this._connect());
+        this.contentLayout.add_child(this.entry);
+
+        this.error = new St.Label({ text: "", style_class: "quicksettings-dialog-error" });
+        this.contentLayout.add_child(this.error);
+
+        this.setButtons([
+            {
+                label: _("Cancel"),
+                action: () => {
+                    this.close();
+                    this.destroy();
+                },
+                key: Clutter.KEY_Escape,
+            },
+            {
+                label: _("Connect"),
+                action: () => this._connect(),
+            },
+        ]);
+        this.setInitialKeyFocus(this.entry.clutter_text);
+    }
+
+    /**
+     * Validates the password and hands it to the callback.
+     *
+     * @private
+     */
+    _connect() {
+        const password = this.entry.get_text();
+        if (this.keyManagement === "wpa-psk") {
+            // WPA passphrases are 8 to 63 characters long; a raw key is 64 hex digits
+            const rawKey = /^[0-9a-fA-F]{64}$/.test(password);
+            if (!rawKey && (password.length < 8 || password.length > 63)) {
+                this.error.set_text(_("The password must be between 8 and 63 characters long, or a 64 digit hexadecimal key."));
+                return;
+            }
+        } else if (password.length === 0) {
+            // WPA3 (SAE) passwords have no length limits
+            this.error.set_text(_("Enter the password."));
+            return;
+        }
+        this.close();
+        this.destroy();
+        this.callback(password);
+    }
+}
+
+/**
+ * WifiSection lists the visible Wi-Fi networks in a submenu under the Wi-Fi switch, using
+ * NetworkManager over D-Bus (libnm). Networks can be connected to, forgotten and rescanned, and
+ * the list follows NetworkManager's signals.
+ */
+class WifiSection {
+    /**
+     * Constructor to initialize a WifiSection object.
+     *
+     * @param {function} onRadioChanged - Called when the Wi-Fi radio is switched on or off, or
+     * blocked in hardware.
+     * @param {function} onNetworkChanged - Called when the connected network or its signal
+     * strength may have changed.
+     */
+    constructor(onRadioChanged, onNetworkChanged) {
+        this.onRadioChanged = onRadioChanged;
+        this.onNetworkChanged = onNetworkChanged;
+        this.settingsCommand = "cinnamon-settings network";
+        this.client = null;
+        this.device = null;
+        this.submenu = null;
+        this.rebuildTimeoutID = null;
+        this._clientSignals = [];
+        this._deviceSignals = [];
+        this._accessPointSignals = new Map(); // access point -> signal id
+        this._signalIcons = new Map(); // SSID -> signal strength icon of its menu item
+    }
+
+    /**
+     * Connects to NetworkManager and starts following the Wi-Fi device.
+     */
+    start() {
+        getNMClient().then((client) => {
+            this.client = client;
+            this._clientSignals.push(this.client.connect("device-added", () => this._updateDevice()));
+            this._clientSignals.push(this.client.connect("device-removed", () => this._updateDevice()));
+            this._clientSignals.push(this.client.connect("connection-added", () => this._queueRebuild()));
+            this._clientSignals.push(this.client.connect("connection-removed", () => this._queueRebuild()));
+            this._clientSignals.push(this.client.connect("notify::wireless-enabled", () => this.onRadioChanged()));
+            this._clientSignals.push(this.client.connect("notify::wireless-hardware-enabled", () => this.onRadioChanged()));
+            this._updateDevice();
+            this.onRadioChanged();
+        }, (e) => global.logError("Failed to connect to NetworkManager: " + e));
+    }
+
+    /**
+     * Returns the state of the Wi-Fi radio as NetworkManager reports it.
+     *
+     * @returns {object|null} `enabled` and `hardwareEnabled`, and whether mobile broadband is
+     * `wwanEnabled`, or null before NetworkManager is connected.
+     */
+    getRadioState() {
+        if (!this.client) {
+            return null;
+        }
+        return {
+            enabled: this.client.wireless_enabled,
+            hardwareEnabled: this.client.wireless_hardware_enabled,
+            wwanEnabled: this.client.wwan_enabled,
+        };
+    }
+
+    /**
+     * Picks the first Wi-Fi device and follows its access points.
+     *
+     * @private
+     */
+    _updateDevice() {
+        const device = this.client.get_devices().find((d) => d instanceof NM.DeviceWifi) || null;
+        if (device === this.device) {
+            return;
+        }
+        this._disconnectDevice();
+        this.device = device;
+        if (device) {
+            this._deviceSignals.push(device.connect("access-point-added", (d, ap) => {
+                this._watchAccessPoint(ap);
+                this._queueRebuild();
+            }));
+            this._deviceSignals.push(device.connect("access-point-removed", (d, ap) => {
+                this._unwatchAccessPoint(ap);
+                this._queueRebuild();
+            }));
+            this._deviceSignals.push(device.connect("notify::active-access-point", () => this._queueRebuild()));
+            this._deviceSignals.push(device.connect("state-changed", () => this._queueRebuild()));
+            device.get_access_points().forEach((ap) => this._watchAccessPoint(ap));
+        }
+        this._buildSubmenu();
+        this.onNetworkChanged();
+    }
+
+    /**
+     * Follows an access point's signal strength. Strength changes all the time, so they only
+     * update the icons of the listed networks; rebuilding the list would reset the keyboard focus
+     * of someone going through it.
+     *
+     * @param {NM.AccessPoint} ap - The access point.
+     * @private
+     */
+    _watchAccessPoint(ap) {
+        if (!this._accessPointSignals.has(ap)) {
+            this._accessPointSignals.set(ap, ap.connect("notify::strength", () => this._updateStrengths()));
+        }
+    }
+
+    /**
+     * Updates the signal icons of the listed networks, keeping their order.
+     *
+     * @private
+     */
+    _updateStrengths() {
+        for (const network of this.getNetworks()) {
+            const icon = this._signalIcons.get(network.ssid);
+            if (icon) {
+                icon.icon_name = getSignalIconName(network.strength);
+            }
+        }
+        this.onNetworkChanged();
+    }
+
+    /**
+     * Stops following an access point.
+     *
+     * @param {NM.AccessPoint} ap - The access point.
+     * @private
+     */
+    _unwatchAccessPoint(ap) {
+        const id = this._accessPointSignals.get(ap);
+        if (id) {
+            ap.disconnect(id);
+            this._accessPointSignals.delete(ap);
+        }
+    }
+
+    /**
+     * Disconnects from the current Wi-Fi device and its access points.
+     *
+     * @private
+     */
+    _disconnectDevice() {
+        for (const ap of [...this._accessPointSignals.keys()]) {
+            this._unwatchAccessPoint(ap);
+        }
+        if (this.device) {
+            this._deviceSignals.forEach((id) => this.device.disconnect(id));
+        }
+        this._deviceSignals = [];
+        this.device = null;
+    }
+
+    /**
+     * Rebuilds the network list once a burst of changes (e.g. during a scan) has settled.
+     *
+     * @private
+     */
+    _queueRebuild() {
+        if (this.rebuildTimeoutID) {
+            return;
+        }
+        this.rebuildTimeoutID = setTimeout(() => {
+            this.rebuildTimeoutID = null;
+            this._buildSubmenu();
+            this.onNetworkChanged();
+        }, MENU_REBUILD_DELAY);
+    }
+
+    /**
+     * Returns the SSID of an access point as text.
+     *
+     * @param {NM.AccessPoint} ap - The access point.
+     * @returns {string|null} The SSID, or null for hidden networks.
+     * @private
+     */
+    _getSsid(ap) {
+        const ssid = ap.get_ssid();
+        return ssid ? NM.utils_ssid_to_utf8(ssid.get_data()) : null;
+    }
+
+    /**
+     * Returns the visible networks, one entry per SSID with the strongest access point.
+     *
+     * @returns {Array<object>} Networks with `ssid`, `ap`, `strength`, `secured`, `active` and the
+     * saved `connections`, strongest first with the active network at the top.
+     */
+    getNetworks() {
+        if (!this.device) {
+            return [];
+        }
+        const active = this.device.get_active_access_point();
+        const activeSsid = active ? this._getSsid(active) : null;
+        const saved = this.device.filter_connections(this.client.get_connections());
+
+        let networks = new Map();
+        for (const ap of this.device.get_access_points()) {
+            const ssid = this._getSsid(ap);
+            if (!ssid) {
+                continue;
+            }
+            const known = networks.get(ssid);
+            if (known && known.strength >= ap.get_strength()) {
+                continue;
+            }
+            networks.set(ssid, {
+                ssid,
+                ap,
+                strength: ap.get_strength(),
+                secured: isSecured(ap),
+                active: ssid === activeSsid,
+                connections: ap.filter_connections(saved),
+            });
+        }
+        return [...networks.values()].sort((a, b) => (b.active - a.active) || (b.strength - a.strength));
+    }
+
+    /**
+     * Returns the network the device is connected to.
+     *
+     * @returns {object|null} `ssid` and signal `strength` in percent, or null when not connected.
+     */
+    getActiveNetwork() {
+        const active = this.device ? this.device.get_active_access_point() : null;
+        const ssid = active ? this._getSsid(active) : null;
+        return ssid ? { ssid, strength: active.get_strength() } : null;
+    }
+
+    /**
+     * Returns the name of the network the device is connected to.
+     *
+     * @returns {string|null} The SSID, or null when not connected.
+     */
+    getActiveSsid() {
+        const active = this.device ? this.device.get_active_access_point() : null;
+        return active ? this._getSsid(active) : null;
+    }
+
+    /**
+     * Adds the network submenu to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the submenu will be added.
+     */
+    addToMenu(menu) {
+        const submenu = new PopupMenu.PopupSubMenuMenuItem(_("Wi-Fi Networks"));
+        submenu.connect("destroy", () => {
+            if (this.submenu === submenu) {
+                this.submenu = null;
+            }
+        });
+        this.submenu = submenu;
+        menu.addMenuItem(submenu);
+        this._buildSubmenu();
+    }
+
+    /**
+     * Fills the submenu with the visible networks and a rescan item.
+     *
+     * @private
+     */
+    _buildSubmenu() {
+        if (!this.submenu) {
+            return;
+        }
+        const activeSsid = this.getActiveSsid();
+        this.submenu.label.set_text(activeSsid ? `${_("Wi-Fi")}: ${activeSsid}` : _("Wi-Fi Networks"));
+        this.submenu.actor.visible = this.device !== null;
+        this.submenu.menu.removeAll();
+        this._signalIcons.clear();
+        if (!this.device) {
+            return;
+        }
+
+        const networks = this.getNetworks();
+        if (networks.length === 0) {
+            this.submenu.menu.addMenuItem(new PopupMenu.PopupMenuItem(_("No networks found"), { reactive: false }));
+        }
+        networks.forEach((network) => this.submenu.menu.addMenuItem(this._createNetworkItem(network)));
+
+        const rescan = new PopupMenu.PopupImageMenuItem(_("Rescan"), "view-refresh-symbolic", St.IconType.SYMBOLIC);
+        rescan.connect("activate", () => this.rescan());
+        this.submenu.menu.addMenuItem(rescan);
+    }
+
+    /**
+     * Creates the menu item of a network: signal strength, name, lock icon and a forget button
+     * for saved networks.
+     *
+     * @param {object} network - A network as returned by `getNetworks()`.
+     * @returns {PopupMenu.PopupBaseMenuItem} The menu item.
+     * @private
+     */
+    _createNetworkItem(network) {
+        const item = new PopupMenu.PopupBaseMenuItem();
+        const signalIcon = new St.Icon({ icon_name: getSignalIconName(network.strength), style_class: "popup-menu-icon" });
+        this._signalIcons.set(network.ssid, signalIcon);
+        item.addActor(signalIcon);
+        item.addActor(new St.Label({ text: network.ssid }), { expand: true });
+        if (network.secured) {
+            item.addActor(new St.Icon({ icon_name: "changes-prevent-symbolic", style_class: "popup-menu-icon" }));
+        }
+        if (network.connections.length > 0) {
+            item.addActor(createIconButton("edit-delete-symbolic", _("Forget"), () => this.forget(network)));
+        }
+        item.setOrnament(PopupMenu.OrnamentType.DOT, network.active);
+        item.connect("activate", () => {
+            if (!network.active) {
+                this.connectTo(network);
+            }
+        });
+        return item;
+    }
+
+    /**
+     * Connects to a network, reusing a saved connection or asking for a password for new
+     * secured networks.
+     *
+     * @param {object} network - A network as returned by `getNetworks()`.
+     */
+    connectTo(network) {
+        if (network.connections.length > 0) {
+            this.client.activate_connection_async(network.connections[0], this.device, network.ap.get_path(), null, (client, result) => {
+                try {
+                    client.activate_connection_finish(result);
+                } catch (e) {
+                    this._showError(network.ssid, e);
+                }
+            });
+            return;
+        }
+
+        if (!network.secured) {
+            this._addAndActivate(network, null);
+            return;
+        }
+
+        const keyManagement = getKeyManagement(network.ap);
+        if (!keyManagement) {
+            // Enterprise and WEP networks need more than a password
+            Util.spawnCommandLine(this.settingsCommand);
+            return;
+        }
+        new PasswordDialog(network.ssid, keyManagement, (password) => {
+            const connection = NM.SimpleConnection.new();
+            connection.add_setting(new NM.SettingWirelessSecurity({ key_mgmt: keyManagement, psk: password }));
+            this._addAndActivate(network, connection);
+        }).open();
+    }
+
+    /**
+     * Creates a connection for a new network and activates it. NetworkManager fills in the
+     * settings missing from the partial connection.
+     *
+     * @param {object} network - A network as returned by `getNetworks()`.
+     * @param {NM.Connection|null} connection - A partial connection, e.g. with the password.
+     * @private
+     */
+    _addAndActivate(network, connection) {
+        this.client.add_and_activate_connection_async(connection, this.device, network.ap.get_path(), null, (client, result) => {
+            try {
+                client.add_and_activate_connection_finish(result);
+            } catch (e) {
+                this._showError(network.ssid, e);
+            }
+        });
+    }
+
+    /**
+     * Deletes the saved connections of a network.
+     *
+     * @param {object} network - A network as returned by `getNetworks()`.
+     */
+    forget(network) {
+        network.connections.forEach((connection) => {
+            connection.delete_async(null, (c, result) => {
+                try {
+                    c.delete_finish(result);
+                } catch (e) {
+                    global.logError(`Failed to forget Wi-Fi network ${network.ssid}: ${e}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Asks the Wi-Fi device to scan for networks.
+     */
+    rescan() {
+        if (!this.device) {
+            return;
+        }
+        this.device.request_scan_async(null, (device, result) => {
+            try {
+                device.request_scan_finish(result);
+            } catch (e) {
+                // Scanning too often is refused, the current list is still valid
+                global.log("Wi-Fi rescan was not started: " + e);
+            }
+        });
+    }
+
+    /**
+     * Logs and shows a connection failure.
+     *
+     * @param {string} ssid - The name of the network.
+     * @param {Error} e - The error.
+     * @private
+     */
+    _showError(ssid, e) {
+        global.logError(`Failed to connect to Wi-Fi network ${ssid}: ${e}`);
+        new ModalDialog.NotifyDialog(`${_("Failed to connect to %s").replace("%s", ssid)}\n${e.message || e}`).open();
+    }
+
+    /**
+     * Disconnects from NetworkManager's signals.
+     */
+    destroy() {
+        clearTimeout(this.rebuildTimeoutID);
+        this.rebuildTimeoutID = null;
+        this._disconnectDevice();
+        if (this.client) {
+            this._clientSignals.forEach((id) => this.client.disconnect(id));
+        }
+        this._clientSignals = [];
+        this.submenu = null;
+    }
+}
+
+/**
+ * NetworkSection shows the rest of what NetworkManager manages besides the Wi-Fi networks: the
+ * wired link state, VPN and WireGuard connections, the Wi-Fi hotspot and the active IP address.
+ */
+class NetworkSection {
+    /**
+     * Constructor to initialize a NetworkSection object.
+     */
+    constructor() {
+        this.client = null;
+        this.submenu = null;
+        this.rebuildTimeoutID = null;
+        this._clientSignals = [];
+        this._deviceSignals = []; // [device, signal id]
+        this._activeSignals = []; // [active connection, signal id]
+    }
+
+    /**
+     * Connects to NetworkManager and starts following the devices and active connections.
+     */
+    start() {
+        getNMClient().then((client) => {
+            this.client = client;
+            this._clientSignals.push(client.connect("device-added", () => this._updateDevices()));
+            this._clientSignals.push(client.connect("device-removed", () => this._updateDevices()));
+            this._clientSignals.push(client.connect("active-connection-added", () => this._updateActiveConnections()));
+            this._clientSignals.push(client.connect("active-connection-removed", () => this._updateActiveConnections()));
+            this._clientSignals.push(client.connect("connection-added", () => this._queueRebuild()));
+            this._clientSignals.push(client.connect("connection-removed", () => this._queueRebuild()));
+            this._clientSignals.push(client.connect("notify::primary-connection", () => this._queueRebuild()));
+            this._updateDevices();
+            this._updateActiveConnections();
+        }, (e) => global.logError("Failed to connect to NetworkManager: " + e));
+    }
+
+    /**
+     * Follows the state of the wired and Wi-Fi devices.
+     *
+     * @private
+     */
+    _updateDevices() {
+        this._deviceSignals.forEach(([device, id]) => device.disconnect(id));
+        this._deviceSignals = this.client.get_devices().filter((device) => {
+            return device instanceof NM.DeviceEthernet || device instanceof NM.DeviceWifi;
+        }).map((device) => [device, device.connect("state-changed", () => this._queueRebuild())]);
+        this._queueRebuild();
+    }
+
+    /**
+     * Follows the state of the active connections, e.g. a VPN that is still connecting.
+     *
+     * @private
+     */
+    _updateActiveConnections() {
+        this._activeSignals.forEach(([active, id]) => active.disconnect(id));
+        this._activeSignals = this.client.get_active_connections().map((active) => {
+            return [active, active.connect("notify::state", () => this._queueRebuild())];
+        });
+        this._queueRebuild();
+    }
+
+    /**
+     * Rebuilds the submenu once a burst of changes has settled.
+     *
+     * @private
+     */
+    _queueRebuild() {
+        if (this.rebuildTimeoutID) {
+            return;
+        }
+        this.rebuildTimeoutID = setTimeout(() => {
+            this.rebuildTimeoutID = null;
+            this._buildSubmenu();
+        }, MENU_REBUILD_DELAY);
+    }
+
+    /**
+     * Returns the wired devices and their link state.
+     *
+     * @returns {Array<object>} Devices with `name` (the interface), `state` (a description),
+     * `connected` and `address`.
+     */
+    getWiredDevices() {
+        if (!this.client) {
+            return [];
+        }
+        return this.client.get_devices().filter((device) => device instanceof NM.DeviceEthernet).map((device) => {
+            const state = device.get_state();
+            let description;
+            if (state === NM.DeviceState.ACTIVATED) {
+                description = _("Connected");
+            } else if (!device.get_carrier()) {
+                description = _("Cable unplugged");
+            } else if (state > NM.DeviceState.DISCONNECTED && state < NM.DeviceState.ACTIVATED) {
+                description = _("Connecting…");
+            } else {
+                description = _("Disconnected");
+            }
+            return {
+                name: device.get_iface(),
+                state: description,
+                connected: state === NM.DeviceState.ACTIVATED,
+                address: getIPAddress(device),
+            };
+        });
+    }
+
+    /**
+     * Returns the saved VPN and WireGuard connections.
+     *
+     * @returns {Array<object>} Connections with `connection`, `name` and the `active` connection
+     * (null when not connected).
+     */
+    getVpnConnections() {
+        if (!this.client) {
+            return [];
+        }
+        const actives = this.client.get_active_connections();
+        return this.client.get_connections().filter((connection) => {
+            const type = connection.get_connection_type();
+            return type === "vpn" || type === "wireguard";
+        }).map((connection) => ({
+            connection,
+            name: connection.get_id(),
+            active: actives.find((active) => active.get_uuid() === connection.get_uuid()) || null,
+        })).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Returns the active Wi-Fi hotspot.
+     *
+     * @returns {NM.ActiveConnection|null} The hotspot connection, or null when it is off.
+     */
+    getHotspot() {
+        if (!this.client) {
+            return null;
+        }
+        return this.client.get_active_connections().find((active) => {
+            const connection = active.get_connection();
+            const wireless = connection ? connection.get_setting_wireless() : null;
+            return wireless !== null && wireless.get_mode() === "ap";
+        }) || null;
+    }
+
+    /**
+     * Adds the network submenu to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the submenu will be added.
+     */
+    addToMenu(menu) {
+        const submenu = new PopupMenu.PopupSubMenuMenuItem(_("Network"));
+        submenu.connect("destroy", () => {
+            if (this.submenu === submenu) {
+                this.submenu = null;
+            }
+        });
+        this.submenu = submenu;
+        menu.addMenuItem(submenu);
+        this._buildSubmenu();
+    }
+
+    /**
+     * Fills the submenu with the wired devices, the active IP address, the VPN connections and
+     * the hotspot switch.
+     *
+     * @private
+     */
+    _buildSubmenu() {
+        if (!this.submenu) {
+            return;
+        }
+        const menu = this.submenu.menu;
+        menu.removeAll();
+        this.submenu.actor.visible = this.client !== null;
+        if (!this.client) {
+            return;
+        }
+
+        const primary = this.client.get_primary_connection();
+        this.submenu.label.set_text(primary ? `${_("Network")}: ${primary.get_id()}` : `${_("Network")}: ${_("Disconnected")}`);
+
+        for (const device of this.getWiredDevices()) {
+            menu.addMenuItem(new PopupMenu.PopupImageMenuItem(`${_("Wired")} (${device.name}): ${device.state}`,
+                device.connected ? "network-wired-symbolic" : "network-wired-disconnected-symbolic", St.IconType.SYMBOLIC, { reactive: false }));
+        }
+
+        const address = primary ? getIPAddress(primary) : null;
+        if (address) {
+            const item = new PopupMenu.PopupMenuItem(`${_("IP Address")}: ${address}`, { reactive: false });
+            item.addActor(createIconButton("edit-copy-symbolic", _("Copy to clipboard"), () => {
+                St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, address);
+            }), { align: St.Align.END });
+            menu.addMenuItem(item);
+        }
+
+        for (const vpn of this.getVpnConnections()) {
+            const state = vpn.active ? vpn.active.get_state() : NM.ActiveConnectionState.DEACTIVATED;
+            const item = new PopupMenu.PopupSwitchMenuItem(vpn.name, state === NM.ActiveConnectionState.ACTIVATED);
+            if (state === NM.ActiveConnectionState.ACTIVATING) {
+                item.setStatus(_("Connecting…"));
+            } else if (state === NM.ActiveConnectionState.DEACTIVATING) {
+                item.setStatus(_("Disconnecting…"));
+            }
+            item.connect("toggled", (switchItem) => this._setVpnActive(vpn, switchItem.state));
+            menu.addMenuItem(item);
+        }
+
+        const wifiDevice = this.client.get_devices().find((device) => device instanceof NM.DeviceWifi);
+        if (wifiDevice) {
+            const hotspot = new PopupMenu.PopupSwitchMenuItem(_("Hotspot"), this.getHotspot() !== null);
+            hotspot.connect("toggled", (switchItem) => this._setHotspot(wifiDevice, switchItem.state));
+            menu.addMenuItem(hotspot);
+        }
+
+        if (menu.isEmpty()) {
+            menu.addMenuItem(new PopupMenu.PopupMenuItem(_("No network devices"), { reactive: false }));
+        }
+    }
+
+    /**
+     * Connects or disconnects a VPN or WireGuard connection.
+     *
+     * @param {object} vpn - A connection as returned by `getVpnConnections()`.
+     * @param {boolean} active - Whether to connect.
+     * @private
+     */
+    _setVpnActive(vpn, active) {
+        const done = (method) => (client, result) => {
+            try {
+                client[method](result);
+            } catch (e) {
+                this._showError(vpn.name, e);
+                this._buildSubmenu(); // Put the switch back
+            }
+        };
+        if (active) {
+            this.client.activate_connection_async(vpn.connection, null, null, null, done("activate_connection_finish"));
+        } else if (vpn.active) {
+            this.client.deactivate_connection_async(vpn.active, null, done("deactivate_connection_finish"));
+        }
+    }
+
+    /**
+     * Turns the Wi-Fi hotspot on or off. NetworkManager creates the hotspot connection (with a
+     * random password) the first time.
+     *
+     * @param {NM.DeviceWifi} device - The Wi-Fi device to share the connection with.
+     * @param {boolean} enabled - Whether the hotspot should be on.
+     * @private
+     */
+    _setHotspot(device, enabled) {
+        let promise;
+        if (enabled) {
+            promise = commandRunner.check(["nmcli", "device", "wifi", "hotspot", "ifname", device.get_iface()]);
+        } else {
+            const hotspot = this.getHotspot();
+            promise = hotspot ? commandRunner.check(["nmcli", "connection", "down", "uuid", hotspot.get_uuid()]) : Promise.resolve();
+        }
+        promise.catch((e) => {
+            this._showError(_("Hotspot"), e);
+            this._buildSubmenu();
+        });
+    }
+
+    /**
+     * Logs and shows a connection failure.
+     *
+     * @param {string} name - The name of the connection.
+     * @param {Error} e - The error.
+     * @private
+     */
+    _showError(name, e) {
+        global.logError(`Failed to change network connection ${name}: ${e}`);
+        new ModalDialog.NotifyDialog(`${name}: ${_("failed")}\n${e.message || e}`).open();
+    }
+
+    /**
+     * Disconnects from NetworkManager's signals.
+     */
+    destroy() {
+        clearTimeout(this.rebuildTimeoutID);
+        this.rebuildTimeoutID = null;
+        this._deviceSignals.forEach(([device, id]) => device.disconnect(id));
+        this._deviceSignals = [];
+        this._activeSignals.forEach(([active, id]) => active.disconnect(id));
+        this._activeSignals = [];
+        if (this.client) {
+            this._clientSignals.forEach((id) => this.client.disconnect(id));
+        }
+        this._clientSignals = [];
+        this.submenu = null;
+    }
+}
+
+/**
+ * BluetoothSection lists paired Bluetooth devices from BlueZ over D-Bus in a submenu, with their
+ * connection state and battery level. Devices connect or disconnect with one click, and new
+ * devices can be discovered and paired for a limited time.
+ */
+class BluetoothSection {
+    /**
+     * Constructor to initialize a BluetoothSection object.
+     *
+     * @param {function} onAdapterChanged - Called when the adapter's power or rfkill state changes.
+     */
+    constructor(onAdapterChanged) {
+        this.onAdapterChanged = onAdapterChanged;
+        this.manager = null;
+        this.submenu = null;
+        this.rfkill = null;
+        this.discoveryTimeoutID = null;
+        this.rebuildTimeoutID = null;
+        this._managerSignals = [];
+    }
+
+    /**
+     * Connects to BlueZ and starts following its adapters and devices.
+     */
+    start() {
+        Gio.DBusObjectManagerClient.new_for_bus(
+            Gio.BusType.SYSTEM,
+            Gio.DBusObjectManagerClientFlags.NONE,
+            BLUEZ_BUS_NAME,
+            "/",
+            null,
+            null,
+            (obj, result) => {
+                try {
+                    this.manager = Gio.DBusObjectManagerClient.new_for_bus_finish(result);
+                } catch (e) {
+                    global.logError("Failed to connect to BlueZ: " + e);
+                    return;
+                }
+                const changed = () => this._queueRebuild();
+                for (const signal of ["object-added", "object-removed", "interface-added", "interface-removed"]) {
+                    this._managerSignals.push(this.manager.connect(signal, changed));
+                }
+                this._managerSignals.push(this.manager.connect("interface-proxy-properties-changed",
+                    (manager, object, proxy, properties) => this._onPropertiesChanged(proxy, properties)));
+                this._queueRebuild();
+            }
+        );
+        this.refreshRfkill();
+    }
+
+    /**
+     * Re-reads the rfkill soft and hard blocks of the Bluetooth radio.
+     */
+    refreshRfkill() {
+        getRfkillState("bluetooth").then((state) => {
+            this.rfkill = state;
+            this.onAdapterChanged();
+        });
+    }
+
+    /**
+     * Handles property changes reported by BlueZ, such as a device connecting or the signal
+     * strengths reported during discovery.
+     *
+     * @param {Gio.DBusProxy} proxy - The proxy of the interface whose properties changed.
+     * @param {GLib.Variant} properties - The changed properties.
+     * @private
+     */
+    _onPropertiesChanged(proxy, properties) {
+        // Radio blocks (e.g. the airplane-mode key) show up as adapter power changes
+        if (proxy.get_interface_name() === BLUEZ_ADAPTER_INTERFACE && properties.lookup_value("Powered", null)) {
+            this.refreshRfkill();
+        }
+        this._queueRebuild();
+    }
+
+    /**
+     * Rebuilds the device list once a burst of changes has settled.
+     *
+     * @private
+     */
+    _queueRebuild() {
+        if (this.rebuildTimeoutID) {
+            return;
+        }
+        this.rebuildTimeoutID = setTimeout(() => {
+            this.rebuildTimeoutID = null;
+            this._buildSubmenu();
+        }, MENU_REBUILD_DELAY);
+    }
+
+    /**
+     * Returns the D-Bus proxy of the first Bluetooth adapter.
+     *
+     * @returns {Gio.DBusProxy|null} The `org.bluez.Adapter1` proxy, or null without an adapter.
+     */
+    getAdapter() {
+        if (!this.manager) {
+            return null;
+        }
+        for (const object of this.manager.get_objects()) {
+            const adapter = object.get_interface(BLUEZ_ADAPTER_INTERFACE);
+            if (adapter) {
+                return adapter;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns the state shown by the Bluetooth switch.
+     *
+     * @returns {object} `available` (an adapter exists), `powered`, `softBlocked` and `hardBlocked`.
+     */
+    getAdapterState() {
+        const adapter = this.getAdapter();
+        return {
+            available: adapter !== null,
+            powered: adapter !== null && getProperty(adapter, "Powered", false),
+            softBlocked: this.rfkill !== null && this.rfkill.soft,
+            hardBlocked: this.rfkill !== null && this.rfkill.hard,
+        };
+    }
+
+    /**
+     * Returns the devices BlueZ knows about.
+     *
+     * @returns {Array<object>} Devices with `path`, `name`, `iconName`, `paired`, `connected` and
+     * `battery` (in percent, or null when not reported).
+     */
+    getDevices() {
+        if (!this.manager) {
+            return [];
+        }
+        let devices = [];
+        for (const object of this.manager.get_objects()) {
+            const device = object.get_interface(BLUEZ_DEVICE_INTERFACE);
+            if (!device) {
+                continue;
+            }
+            const battery = object.get_interface(BLUEZ_BATTERY_INTERFACE);
+            devices.push({
+                path: object.get_object_path(),
+                name: getProperty(device, "Alias", null) || getProperty(device, "Name", null) || getProperty(device, "Address", ""),
+                iconName: `${getProperty(device, "Icon", "bluetooth")}-symbolic`,
+                paired: getProperty(device, "Paired", false),
+                connected: getProperty(device, "Connected", false),
+                battery: battery ? getProperty(battery, "Percentage", null) : null,
+            });
+        }
+        return devices.sort((a, b) => (b.connected - a.connected) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Adds the device submenu to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the submenu will be added.
+     */
+    addToMenu(menu) {
+        const submenu = new PopupMenu.PopupSubMenuMenuItem(_("Bluetooth Devices"));
+        submenu.connect("destroy", () => {
+            if (this.submenu === submenu) {
+                this.submenu = null;
+            }
+        });
+        this.submenu = submenu;
+        menu.addMenuItem(submenu);
+        this._buildSubmenu();
+    }
+
+    /**
+     * Fills the submenu with the paired devices, the pairing entry and the devices found while
+     * discovering.
+     *
+     * @private
+     */
+    _buildSubmenu() {
+        if (!this.submenu) {
+            return;
+        }
+        const adapter = this.getAdapter();
+        this.submenu.actor.visible = adapter !== null;
+        this.submenu.menu.removeAll();
+        if (!adapter) {
+            return;
+        }
+
+        const devices = this.getDevices();
+        const paired = devices.filter((device) => device.paired);
+        const connected = paired.filter((device) => device.connected);
+        this.submenu.label.set_text(connected.length > 0
+            ? `${_("Bluetooth")}: ${connected.map((device) => device.name).join(", ")}`
+            : _("Bluetooth Devices"));
+
+        if (!getProperty(adapter, "Powered", false)) {
+            this.submenu.menu.addMenuItem(new PopupMenu.PopupMenuItem(_("Bluetooth is off"), { reactive: false }));
+            return;
+        }
+
+        if (paired.length === 0) {
+            this.submenu.menu.addMenuItem(new PopupMenu.PopupMenuItem(_("No paired devices"), { reactive: false }));
+        }
+        paired.forEach((device) => this.submenu.menu.addMenuItem(this._createDeviceItem(device)));
+
+        const discovering = this.discoveryTimeoutID !== null;
+        const pair = new PopupMenu.PopupImageMenuItem(
+            discovering ? _("Stop searching") : _("Pair new device"),
+            discovering ? "process-stop-symbolic" : "list-add-symbolic",
+            St.IconType.SYMBOLIC);
+        pair.connect("activate", () => {
+            if (this.discoveryTimeoutID !== null) {
+                this.stopDiscovery();
+            } else {
+                this.startDiscovery();
+            }
+        });
+        this.submenu.menu.addMenuItem(pair);
+
+        if (discovering) {
+            devices.filter((device) => !device.paired).forEach((device) => {
+                this.submenu.menu.addMenuItem(this._createDeviceItem(device));
+            });
+        }
+    }
+
+    /**
+     * Creates the menu item of a device: icon, name and battery level. Activating it connects,
+     * disconnects or pairs the device.
+     *
+     * @param {object} device - A device as returned by `getDevices()`.
+     * @returns {PopupMenu.PopupBaseMenuItem} The menu item.
+     * @private
+     */
+    _createDeviceItem(device) {
+        const item = new PopupMenu.PopupBaseMenuItem();
+        item.addActor(new St.Icon({ icon_name: device.iconName, style_class: "popup-menu-icon" }));
+        item.addActor(new St.Label({ text: device.paired ? device.name : _("%s (not paired)").replace("%s", device.name) }), { expand: true });
+        if (device.battery !== null) {
+            item.addActor(new St.Label({ text: formatPercent(device.battery) }));
+        }
+        item.setOrnament(PopupMenu.OrnamentType.DOT, device.connected);
+        item.connect("activate", () => {
+            if (!device.paired) {
+                this.pair(device);
+            } else if (device.connected) {
+                this._callDevice(device, "Disconnect");
+            } else {
+                this._callDevice(device, "Connect");
+            }
+        });
+        return item;
+    }
+
+    /**
+     * Calls a method of the `org.bluez.Device1` interface.
+     *
+     * @param {object} device - A device as returned by `getDevices()`.
+     * @param {string} method - The method name, e.g. "Connect".
+     * @returns {Promise} A promise that resolves when the call returns; failures are shown to the user.
+     * @private
+     */
+    _callDevice(device, method) {
+        return callDBus(Gio.DBus.system, BLUEZ_BUS_NAME, device.path, BLUEZ_DEVICE_INTERFACE, method, null).catch((e) => {
+            global.logError(`Bluetooth ${method} failed for ${device.name}: ${e}`);
+            new ModalDialog.NotifyDialog(`${device.name}: ${e.message || e}`).open();
+            throw e;
+        });
+    }
+
+    /**
+     * Pairs a discovered device, trusts it so it can reconnect on its own, and connects to it.
+     *
+     * @param {object} device - A device as returned by `getDevices()`.
+     */
+    pair(device) {
+        this.stopDiscovery();
+        this._callDevice(device, "Pair").then(() => {
+            return callDBus(Gio.DBus.system, BLUEZ_BUS_NAME, device.path, "org.freedesktop.DBus.Properties", "Set",
+                new GLib.Variant("(ssv)", [BLUEZ_DEVICE_INTERFACE, "Trusted", new GLib.Variant("b", true)]));
+        }).then(() => this._callDevice(device, "Connect")).catch(() => {});
+    }
+
+    /**
+     * Starts searching for new devices. Discovery stops by itself after a while.
+     */
+    startDiscovery() {
+        const adapter = this.getAdapter();
+        if (!adapter || this.discoveryTimeoutID !== null) {
+            return;
+        }
+        callDBus(Gio.DBus.system, BLUEZ_BUS_NAME, adapter.get_object_path(), BLUEZ_ADAPTER_INTERFACE, "StartDiscovery", null).then(() => {
+            this.discoveryTimeoutID = setTimeout(() => this.stopDiscovery(), BLUETOOTH_DISCOVERY_TIMEOUT);
+            this._buildSubmenu();
+        }, (e) => global.logError("Failed to start Bluetooth discovery: " + e));
+    }
+
+    /**
+     * Stops searching for new devices.
+     */
+    stopDiscovery() {
+        if (this.discoveryTimeoutID === null) {
+            return;
+        }
+        clearTimeout(this.discoveryTimeoutID);
+        this.discoveryTimeoutID = null;
+        const adapter = this.getAdapter();
+        if (adapter) {
+            callDBus(Gio.DBus.system, BLUEZ_BUS_NAME, adapter.get_object_path(), BLUEZ_ADAPTER_INTERFACE, "StopDiscovery", null)
+                .catch((e) => global.logError("Failed to stop Bluetooth discovery: " + e));
+        }
+        this._buildSubmenu();
+    }
+
+    /**
+     * Stops discovery and disconnects from BlueZ's signals.
+     */
+    destroy() {
+        this.submenu = null;
+        this.stopDiscovery();
+        clearTimeout(this.rebuildTimeoutID);
+        this.rebuildTimeoutID = null;
+        if (this.manager) {
+            this._managerSignals.forEach((id) => this.manager.disconnect(id));
+        }
+        this._managerSignals = [];
+    }
+}
+
+/**
+ * AirplaneMode follows the rfkill state of the radios and turns them all off and back on. When
+ * it turns airplane mode off, it only turns back on the radios that were on before.
+ */
+class AirplaneMode {
+    /**
+     * Constructor to initialize an AirplaneMode object.
+     *
+     * @param {function} onChanged - Called when the rfkill state has been re-read.
+     */
+    constructor(onChanged) {
+        this.onChanged = onChanged;
+        this.devices = [];
+        this.generation = 0; // Counts the changes made from the applet, see invalidate()
+        this.readGeneration = 0; // The generation in which the current state was read
+    }
+
+    /**
+     * Re-reads the rfkill state of all radios.
+     *
+     * @returns {Promise} A promise that resolves once the state is read.
+     */
+    refresh() {
+        const generation = this.generation;
+        return getRfkillDevices().then((devices) => {
+            this.devices = devices;
+            this.readGeneration = generation;
+            this.onChanged();
+        });
+    }
+
+    /**
+     * Marks the state read so far, and reads still running, as outdated. Called when the applet
+     * starts and finishes changing the radios.
+     */
+    invalidate() {
+        this.generation++;
+    }
+
+    /**
+     * Whether the current state was read before the applet last changed the radios.
+     *
+     * @returns {boolean} True if the state may not reflect that change.
+     */
+    isOutdated() {
+        return this.readGeneration !== this.generation;
+    }
+
+    /**
+     * Returns the state of the radios airplane mode controls.
+     *
+     * @returns {object} `available` if there is any such radio, `enabled` if all of them are
+     * blocked and `hardBlocked` if all of them are blocked by a hardware switch.
+     */
+    getState() {
+        const radios = this.devices.filter((device) => AIRPLANE_MODE_RADIOS.includes(device.type));
+        return {
+            available: radios.length > 0,
+            enabled: radios.length > 0 && radios.every((device) => device.soft || device.hard),
+            hardBlocked: radios.length > 0 && radios.every((device) => device.hard),
+        };
+    }
+
+    /**
+     * Returns the block state of the radios of one type.
+     *
+     * @param {string} type - The rfkill type, e.g. "wlan".
+     * @returns {object|null} `soft` and `hard`, each true if any radio of the type is blocked that
+     * way, or null if there is no such radio.
+     */
+    getRadioState(type) {
+        return summarizeRfkill(this.devices, type);
+    }
+
+    /**
+     * Returns the commands that turn airplane mode on, and what to restore afterwards.
+     *
+     * @param {boolean} wwanEnabled - Whether mobile broadband is enabled in NetworkManager.
+     * @returns {object} `commands` to run, and `restore`: the radio types that are not blocked
+     * now and whether mobile broadband was enabled.
+     */
+    getEnableCommands(wwanEnabled) {
+        const unblocked = this.devices.filter((device) => AIRPLANE_MODE_RADIOS.includes(device.type) && !device.soft);
+        const restore = {
+            radios: AIRPLANE_MODE_RADIOS.filter((type) => unblocked.some((device) => device.type === type)),
+            wwan: wwanEnabled,
+        };
+        let commands = AIRPLANE_MODE_RADIOS.map((type) => `rfkill block ${type}`);
+        if (wwanEnabled) {
+            // Modems driven by ModemManager often have no rfkill switch
+            commands.push("nmcli radio wwan off");
+        }
+        return { commands, restore };
+    }
+
+    /**
+     * Returns the commands that turn airplane mode off.
+     *
+     * @param {object|null} restore - What `getEnableCommands()` saved, or null to turn every radio on.
+     * @returns {Array<string>} The commands to run.
+     */
+    getDisableCommands(restore) {
+        const radios = restore ? restore.radios : AIRPLANE_MODE_RADIOS;
+        let commands = radios.map((type) => `rfkill unblock ${type}`);
+        if (!restore || restore.wwan) {
+            commands.push("nmcli radio wwan on");
+        }
+        return commands;
+    }
+}
+
+/**
+ * ProfileSection keeps named profiles such as "Day" and "Evening" in a JSON file in the applet's
+ * config directory, and applies them from a submenu, from hotkeys or at a time of day. A profile
+ * holds the brightness and contrast of each display, keyed by `getDisplayKey()` so it still
+ * matches after the displays move to other buses, and optionally the volume and night light:
+ *
+ *     { "profiles": [{ "name": "Evening", "hotkey": "<Super><Alt>2", "time": "19:00",
+ *                      "displays": { "DEL:DELL U2720Q:ABC123": { "brightness": 40, "contrast": 50 } },
+ *                      "volume": 30, "nightLight": { "enabled": true, "temperature": 3500 } }] }
+ */
+class ProfileSection {
+    /**
+     * Constructor to initialize a ProfileSection object.
+     *
+     * @param {string} path - The absolute path of the profiles file.
+     * @param {string} uuid - The applet UUID, used to name the hotkeys.
+     * @param {object} callbacks - Reads and writes the settings stored in profiles.
+     * @param {function} callbacks.capture - Returns the current settings in the profile format.
+     * @param {function} callbacks.apply - Applies a profile.
+     */
+    constructor(path, uuid, callbacks) {
+        this.path = path;
+        this.uuid = uuid;
+        this.capture = callbacks.capture;
+        this.apply = callbacks.apply;
+        this.profiles = DEFAULT_PROFILES.map((name) => ({ name }));
+        this.activeName = null;
+        this.scheduleEnabled = false;
+        this.hotkeys = [];
+        this.subMenu = null;
+        this.fileMonitor = null;
+        this.fileMonitorSignalID = 0;
+        this.scheduleTimeoutID = null;
+    }
+
+    /**
+     * Loads the profiles and reloads them whenever the file is edited.
+     */
+    start() {
+        try {
+            this.fileMonitor = Gio.File.new_for_path(this.path).monitor_file(Gio.FileMonitorFlags.NONE, null);
+            this.fileMonitorSignalID = this.fileMonitor.connect("changed", (monitor, file, otherFile, eventType) => {
+                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT || eventType === Gio.FileMonitorEvent.DELETED) {
+                    this.load();
+                }
+            });
+        } catch (e) {
+            global.logError(`Cannot watch ${this.path}: ${e.message}`);
+        }
+        this.load();
+    }
+
+    /**
+     * Reads the profiles file. Without a file, the default profiles are offered empty; a file that
+     * cannot be parsed leaves the current profiles in place.
+     *
+     * @returns {Promise} A promise that resolves once the profiles are loaded and bound.
+     */
+    load() {
+        return readFile(this.path).then((contents) => {
+            const data = JSON.parse(contents);
+            if (!Array.isArray(data.profiles)) {
+                throw new Error(`"profiles" is not a list`);
+            }
+            this.profiles = data.profiles.filter((profile) => profile && typeof profile.name === "string");
+        }, (e) => {
+            if (!e.matches || !e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                throw e;
+            }
+            this.profiles = DEFAULT_PROFILES.map((name) => ({ name }));
+        }).catch((e) => {
+            global.logError(`Failed to read profiles from ${this.path}: ${e.message}`);
+        }).then(() => {
+            this._bindHotkeys();
+            this._schedule();
+            this._buildMenu();
+        });
+    }
+
+    /**
+     * Stores the current settings in a profile and writes the profiles file.
+     *
+     * @param {object} profile - The profile to overwrite.
+     * @returns {Promise} A promise that resolves once the file is written.
+     */
+    save(profile) {
+        Object.assign(profile, this.capture());
+        this.activeName = profile.name;
+        this._buildMenu();
+        return this._write().catch((e) => {
+            global.logError(`Failed to save profiles to ${this.path}: ${e.message}`);
+            new ModalDialog.NotifyDialog(`${_("Failed to save the profile")}\n${e.message}`).open();
+        });
+    }
+
+    /**
+     * Applies a profile. Profiles that were never saved are ignored.
+     *
+     * @param {object} profile - The profile to apply.
+     */
+    activate(profile) {
+        if (this._isEmpty(profile)) {
+            return;
+        }
+        this.activeName = profile.name;
+        this.apply(profile);
+        this._buildMenu();
+    }
+
+    /**
+     * Turns applying profiles at their configured times on or off.
+     *
+     * @param {boolean} enabled - Whether the schedule is used.
+     */
+    setScheduleEnabled(enabled) {
+        this.scheduleEnabled = enabled;
+        this._schedule();
+    }
+
+    /**
+     * Adds the profiles submenu to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the submenu will be added.
+     */
+    addToMenu(menu) {
+        const subMenu = new PopupMenu.PopupSubMenuMenuItem(_("Profiles"));
+        subMenu.connect("destroy", () => {
+            if (this.subMenu === subMenu) {
+                this.subMenu = null;
+            }
+        });
+        this.subMenu = subMenu;
+        menu.addMenuItem(subMenu);
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._buildMenu();
+    }
+
+    /**
+     * Fills the submenu with one item per profile, each with a button that saves the current
+     * settings into it, and an item that opens the profiles file.
+     *
+     * @private
+     */
+    _buildMenu() {
+        if (!this.subMenu) {
+            return;
+        }
+        const menu = this.subMenu.menu;
+        menu.removeAll();
+
+        for (const profile of this.profiles) {
+            const empty = this._isEmpty(profile);
+            const item = new PopupMenu.PopupMenuItem(empty ? _("%s (not saved)").replace("%s", profile.name) : profile.name);
+            item.setOrnament(PopupMenu.OrnamentType.DOT, profile.name === this.activeName);
+            item.connect("activate", () => this.activate(profile));
+            item.addActor(createIconButton("document-save-symbolic", _("Save current settings to this profile"), () => {
+                this.save(profile);
+            }), { align: St.Align.END });
+            menu.addMenuItem(item);
+        }
+
+        const edit = new PopupMenu.PopupImageMenuItem(_("Edit Profiles…"), "document-edit-symbolic", St.IconType.SYMBOLIC);
+        edit.connect("activate", () => this._openFile());
+        menu.addMenuItem(edit);
+    }
+
+    /**
+     * Opens the profiles file in the default editor, writing it first if it does not exist yet.
+     *
+     * @private
+     */
+    _openFile() {
+        const exists = GLib.file_test(this.path, GLib.FileTest.EXISTS);
+        (exists ? Promise.resolve() : this._write()).then(() => {
+            Gio.AppInfo.launch_default_for_uri(Gio.File.new_for_path(this.path).get_uri(), null);
+        }).catch((e) => global.logError(`Failed to open ${this.path}: ${e.message}`));
+    }
+
+    /**
+     * Writes the profiles file.
+     *
+     * @returns {Promise} A promise that resolves once the file is written.
+     * @private
+     */
+    _write() {
+        return writeFile(this.path, JSON.stringify({ profiles: this.profiles }, null, 4) + "\n");
+    }
+
+    /**
+     * Whether a profile holds any settings.
+     *
+     * @param {object} profile - The profile.
+     * @returns {boolean} True if the profile was never saved.
+     * @private
+     */
+    _isEmpty(profile) {
+        return !profile.displays && typeof profile.volume !== "number" && !profile.nightLight;
+    }
+
+    /**
+     * Registers the hotkeys set in the profiles, replacing the previous ones.
+     *
+     * @private
+     */
+    _bindHotkeys() {
+        this.hotkeys.forEach((id) => Main.keybindingManager.removeHotKey(id));
+        this.hotkeys = [];
+        this.profiles.forEach((profile, i) => {
+            if (!profile.hotkey) {
+                return;
+            }
+            const id = `${this.uuid}-profile-${i}`;
+            if (Main.keybindingManager.addHotKey(id, profile.hotkey, () => this.activate(profile))) {
+                this.hotkeys.push(id);
+            } else {
+                global.logError(`Could not bind "${profile.hotkey}" to profile ${profile.name}.`);
+            }
+        });
+    }
+
+    /**
+     * Sets a timer for the next profile with a time of day, if the schedule is enabled.
+     *
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this.scheduleTimeoutID);
+        this.scheduleTimeoutID = null;
+        if (!this.scheduleEnabled) {
+            return;
+        }
+
+        const now = new Date();
+        let next = null;
+        for (const profile of this.profiles) {
+            const time = parseTime(profile.time);
+            if (time === null || this._isEmpty(profile)) {
+                continue;
+            }
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), Math.floor(time), Math.round(time % 1 * 60));
+            if (date <= now) {
+                date.setDate(date.getDate() + 1);
+            }
+            if (!next || date < next.date) {
+                next = { date, profile };
+            }
+        }
+        if (next) {
+            this.scheduleTimeoutID = setTimeout(() => {
+                this.scheduleTimeoutID = null;
+                this.activate(next.profile);
+                this._schedule();
+            }, next.date - now);
+        }
+    }
+
+    /**
+     * Removes the hotkeys and stops watching the file and the schedule.
+     */
+    destroy() {
+        this.hotkeys.forEach((id) => Main.keybindingManager.removeHotKey(id));
+        this.hotkeys = [];
+        clearTimeout(this.scheduleTimeoutID);
+        this.scheduleTimeoutID = null;
+        if (this.fileMonitor) {
+            this.fileMonitor.disconnect(this.fileMonitorSignalID);
+            this.fileMonitor.cancel();
+            this.fileMonitor = null;
+        }
+    }
+}
+
+/**
+ * Tile is an entry of the toggle row: a switch with an optional settings button, and optional
+ * detail submenus shown under the row. Its state is read from a status provider, so it can be
+ * refreshed at any time, and its widgets are kept when the menu is rebuilt.
+ */
+class Tile {
+    /**
+     * Constructor to initialize a Tile object.
+     *
+     * @param {object} options - What the tile shows and does.
+     * @param {string} options.label - The switch label.
+     * @param {string} options.iconName - The symbolic icon of the switch.
+     * @param {function} options.getStatus - Returns the current state as an object with `active`
+     * and optionally `available` (false hides the tile), `hardwareDisabled`, `description` (shown
+     * after the label, e.g. how long the state lasts), `error` (shown as a warning icon) and `summary` (a line of the panel
+     * tooltip); or null while unknown.
+     * @param {function} options.toggle - Called with the requested state. When it returns a
+     * promise, the switch waits for it and goes back to its previous position if it is rejected.
+     * @param {function} [options.refresh] - Called once a change finished, to read the real state back.
+     * @param {function} [options.settingsAction] - Called by the settings button; no button without it.
+     * @param {Array<object>} [options.details] - Sections added under the toggle row, with an
+     * `addToMenu(menu)` method.
+     */
+    constructor(options) {
+        this.options = options;
+        this.details = options.details || [];
+        this.pending = false; // Still running the previous change
+        this.error = null; // Why the last change failed
+
+        this.switch = new PopupMenu.PopupSwitchIconMenuItem(options.label, false, options.iconName, St.IconType.SYMBOLIC);
+        this.switch.connect("toggled", (item) => this._onToggled(item.state));
+        this.switch.actor.accessible_role = Atk.Role.TOGGLE_BUTTON;
+        this.actor = new St.BoxLayout({ vertical: false });
+        this.actor.add_child(this.switch.actor);
+        this.errorIcon = new St.Icon({ icon_name: "dialog-warning-symbolic", style_class: "popup-menu-icon", reactive: true, visible: false });
+        this.errorTooltip = new Tooltips.Tooltip(this.errorIcon, "");
+        this.actor.add_child(this.errorIcon);
+        if (options.settingsAction) {
+            const button = createIconButton("applications-system-symbolic", _("%s Settings").replace("%s", options.label), options.settingsAction);
+            button.x_expand = false;
+            this.actor.add_child(button);
+        }
+        this.update();
+    }
+
+    /**
+     * Returns the tile's current state.
+     *
+     * @returns {object|null} The state, as described for `options.getStatus`.
+     */
+    getStatus() {
+        return this.options.getStatus();
+    }
+
+    /**
+     * Updates the switch from the status provider, unless a change is still running.
+     */
+    update() {
+        if (this.pending) {
+            return;
+        }
+        const status = this.getStatus();
+        if (!status) {
+            return;
+        }
+        this.actor.visible = status.available !== false;
+        this.switch.setToggleState(status.active);
+        // A radio blocked by a hardware switch cannot be flipped for nothing
+        this.switch.setSensitive(!status.hardwareDisabled);
+        const description = status.hardwareDisabled ? _("Hardware disabled") : status.description || null;
+        // setStatus() puts a label in place of the switch and blocks it, which is only right for
+        // the hardware switch; other descriptions (e.g. "Until 18:00") go next to the label
+        this.switch.setStatus(status.hardwareDisabled ? description : null);
+        this.switch.label.set_text(description && !status.hardwareDisabled ? `${this.options.label} (${description})` : this.options.label);
+        const error = this.error || status.error || null;
+        this.errorIcon.visible = error !== null;
+        this.errorTooltip.set_text(error || "");
+
+        // Read by screen readers as e.g. "Wi-Fi, Home, toggle button, checked". Set again after
+        // setStatus(), which resets the role to a check menu item
+        this.switch.actor.accessible_role = Atk.Role.TOGGLE_BUTTON;
+        this.switch.actor.accessible_name = [this.options.label, description, error].filter(Boolean).join(", ");
+        if (status.active) {
+            this.switch.actor.add_accessible_state(Atk.StateType.CHECKED);
+        } else {
+            this.switch.actor.remove_accessible_state(Atk.StateType.CHECKED);
+        }
+    }
+
+    /**
+     * Flips the switch as if it was clicked, unless it cannot be changed right now.
+     *
+     * @returns {boolean|null} The requested state, or null when the tile is hidden, blocked in
+     * hardware or still running the previous change.
+     */
+    toggle() {
+        if (this.pending || !this.actor.visible || !this.switch.actor.reactive) {
+            return null;
+        }
+        this.switch.toggle();
+        return this.switch.state;
+    }
+
+    /**
+     * Runs the change behind the switch. The switch shows a pending state meanwhile and goes
+     * back to its previous position if the change fails, with the error next to it.
+     *
+     * @param {boolean} state - The requested state.
+     * @private
+     */
+    _onToggled(state) {
+        const label = this.options.label;
+        this.pending = true;
+        this.switch.setSensitive(false);
+        this.switch.label.set_text(`${label} …`);
+
+        Promise.resolve().then(() => this.options.toggle(state)).then(() => {
+            this.error = null;
+        }, (e) => {
+            global.logError(`Error toggling ${label} in Quick Settings applet: ${e.message}`);
+            this.error = `${label}: ${e.message}`;
+            this.switch.setToggleState(!state); // Roll back
+        }).then(() => {
+            this.pending = false;
+            this.switch.label.set_text(label);
+            this.switch.setSensitive(true);
+            this.update();
+            if (this.options.refresh) {
+                this.options.refresh();
+            }
+        });
+    }
+
+    /**
+     * Takes the tile out of the toggle row, so clearing the menu does not destroy it.
+     */
+    detach() {
+        const parent = this.actor.get_parent();
+        if (parent) {
+            parent.remove_child(this.actor);
+        }
+    }
+
+    /**
+     * Destroys the tile's widgets.
+     */
+    destroy() {
+        this.actor.destroy();
+    }
+}
+
+/**
+ * CommandTile is a tile defined by the user in the applet settings. It runs one command to turn
+ * something on and another to turn it off, and a status command tells whether it is on: by its
+ * exit code, or by whether its output contains a given text. The status can be polled.
+ */
+class CommandTile {
+    /**
+     * Constructor to initialize a CommandTile object.
+     *
+     * @param {object} config - The tile's entry in the applet settings, with `label`, `icon`,
+     * `on-command`, `off-command`, `status-command`, `status-match` and `poll-interval` (in seconds).
+     * @param {function} onChanged - Called after the status command ran.
+     */
+    constructor(config, onChanged) {
+        this.config = config;
+        this.onChanged = onChanged;
+        this.label = config.label || config["on-command"];
+        this.active = false;
+        this.known = false; // Whether the state was read or set at least once
+        this.statusError = null;
+        this.pollTimeoutID = null;
+        this.cancellable = new Gio.Cancellable();
+        this.tile = new Tile({
+            label: this.label,
+            iconName: config.icon || "system-run-symbolic",
+            getStatus: () => this.getStatus(),
+            toggle: (state) => this.setActive(state),
+            refresh: () => this.refresh(),
+        });
+    }
+
+    /**
+     * Reads the state and starts polling it, if a polling interval is set.
+     */
+    start() {
+        this.refresh().then(() => this._schedulePoll());
+    }
+
+    /**
+     * Returns the state of the tile.
+     *
+     * @returns {object} The tile state, see `Tile`.
+     */
+    getStatus() {
+        return {
+            active: this.active,
+            error: this.statusError,
+            summary: this.known ? `${this.label}: ${this.active ? _("On") : _("Off")}` : null,
+        };
+    }
+
+    /**
+     * Runs the "on" or "off" command. Without a status command, the tile then keeps the
+     * requested state.
+     *
+     * @param {boolean} active - Whether to turn the tile on.
+     * @returns {Promise} A promise that resolves once the command succeeded.
+     */
+    setActive(active) {
+        const command = active ? this.config["on-command"] : this.config["off-command"];
+        if (!command) {
+            return Promise.reject(new CommandError(active ? _("No \"on\" command set") : _("No \"off\" command set")));
+        }
+        return commandRunner.check(command, { cancellable: this.cancellable }).then(() => {
+            if (!this.config["status-command"]) {
+                this.active = active;
+                this.known = true;
+            }
+        });
+    }
+
+    /**
+     * Runs the status command and updates the tile.
+     *
+     * @returns {Promise} A promise that resolves once the tile is updated.
+     */
+    refresh() {
+        const command = this.config["status-command"];
+        if (!command) {
+            return Promise.resolve();
+        }
+        return commandRunner.run(command, { cancellable: this.cancellable }).then((result) => {
+            const match = this.config["status-match"];
+            this.active = match ? result.stdout.includes(match) : result.exitCode === 0;
+            this.known = true;
+            this.statusError = null;
+        }, (e) => {
+            this.statusError = e.message;
+        }).then(() => {
+            if (!this.cancellable.is_cancelled()) {
+                this.tile.update();
+                this.onChanged();
+            }
+        });
+    }
+
+    /**
+     * Runs the status command again after the polling interval.
+     *
+     * @private
+     */
+    _schedulePoll() {
+        const interval = this.config["poll-interval"];
+        if (!(interval > 0) || this.cancellable.is_cancelled()) {
+            return;
+        }
+        this.pollTimeoutID = setTimeout(() => {
+            this.pollTimeoutID = null;
+            this.refresh().then(() => this._schedulePoll());
+        }, interval * 1000);
+    }
+
+    /**
+     * Stops polling, cancels the running commands and destroys the tile.
+     */
+    destroy() {
+        clearTimeout(this.pollTimeoutID);
+        this.pollTimeoutID = null;
+        this.cancellable.cancel();
+        this.tile.destroy();
+    }
+}
+
+/**
+ * ToggleRow is the menu section with the row of tiles (Wi-Fi, Bluetooth, Night Light...),
+ * followed by the detail submenus of its tiles (e.g. the Do Not Disturb timer). The tiles outlive
+ * the menu: they are taken out of the row before the menu is cleared.
+ */
+class ToggleRow {
+    /**
+     * Constructor to initialize a ToggleRow object.
+     *
+     * @param {function} getTiles - Returns the tiles of the row, in order.
+     */
+    constructor(getTiles) {
+        this.getTiles = getTiles;
+    }
+
+    /**
+     * Adds the toggle row and the detail submenus to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the toggles will be added.
+     */
+    addToMenu(menu) {
+        // Create a horizontal box to contain the tiles
+        let hbox = new St.BoxLayout({ vertical: false, style_class: "quicksettings-toggle-row" });
+        addRowNavigation(hbox);
+        for (const tile of this.getTiles()) {
+            hbox.add_child(tile.actor);
+            tile.update();
+        }
+
+        // Wrapped in a menu item so clearing the menu removes the row
+        let row = new PopupMenu.PopupBaseMenuItem({ reactive: false });
+        row.addActor(hbox, { span: -1 });
+        menu.addMenuItem(row);
+
+        for (const tile of this.getTiles()) {
+            tile.details.forEach((detail) => detail.addToMenu(menu));
+        }
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    }
+
+    /**
+     * Takes the tiles out of the toggle row, so clearing the menu does not destroy them.
+     */
+    detach() {
+        this.getTiles().forEach((tile) => tile.detach());
+    }
+}
+
+/**
+ * DisplaySection is the menu section with the brightness controls of the enabled displays, led
+ * by the All Displays slider when there is more than one, and followed by "Refresh Displays".
+ * The displays themselves, their settings and the master brightness are kept by the applet.
+ */
+class DisplaySection {
+    /**
+     * Constructor to initialize a DisplaySection object.
+     *
+     * @param {object} options - Access to the applet's displays.
+     * @param {function} options.getDevices - Returns the enabled displays, in menu order.
+     * @param {function} options.getMasterBrightness - Returns the master brightness in percent, or
+     * null without linked displays.
+     * @param {function} options.setMasterBrightness - Called with the new master brightness.
+     * @param {function} options.setLinked - Called with a display and whether it should follow the
+     * master brightness.
+     * @param {function} options.isDetecting - Whether the displays are being detected.
+     * @param {function} options.redetect - Detects the displays again; returns a promise that
+     * resolves with the error of `ddcutil detect`, or null.
+     */
+    constructor(options) {
+        this.options = options;
+        this.masterLabel = null;
+        this.masterSlider = null;
+    }
+
+    /**
+     * Adds the display controls to the applet's popup menu.
+     *
+     * @param {object} menu - The menu to which the displays will be added.
+     */
+    addToMenu(menu) {
+        const devices = this.options.getDevices();
+
+        // A master slider moves all linked displays together, when there is more than one
+        this.masterLabel = null;
+        this.masterSlider = null;
+        if (devices.length > 1) {
+            const masterLabel = new PopupMenu.PopupMenuItem(_("All Displays"), { reactive: false });
+            const masterSlider = setupSlider(new PopupMenu.PopupSliderMenuItem(0),
+                (value) => _("%s brightness %d percent").replace("%d", Math.round(100 * value)).replace("%s", _("All Displays")));
+            masterSlider.connect("value-changed", (slider) => {
+                masterLabel.setLabel(`${_("All Displays")}  (${formatPercent(100 * slider.value)})`);
+            });
+            masterSlider.connect("drag-end", (slider) => this.options.setMasterBrightness(100 * slider.value));
+            masterLabel.connect("destroy", () => {
+                if (this.masterLabel === masterLabel) {
+                    this.masterLabel = null;
+                    this.masterSlider = null;
+                }
+            });
+            this.masterLabel = masterLabel;
+            this.masterSlider = masterSlider;
+            menu.addMenuItem(masterLabel);
+            menu.addMenuItem(masterSlider);
+            this.updateMasterSlider();
+        }
+
+        // The internal panel's brightness control comes ahead of the external displays, followed by
+        // each monitor's brightness and contrast controls
+        for (const device of devices) {
+            device.addToMenu(menu);
+            if (devices.length > 1) {
+                const linkButton = createIconButton("insert-link-symbolic", "", () => {
+                    this.options.setLinked(device, !device.linked);
+                    updateLinkButton();
+                });
+                // Shows whether the display follows the master slider, and what a click does
+                const updateLinkButton = () => {
+                    if (device.linked) {
+                        setIconButton(linkButton, "insert-link-symbolic", _("Follows the All Displays slider. Click to unlink it."));
+                    } else {
+                        setIconButton(linkButton, "action-unavailable-symbolic", _("Does not follow the All Displays slider. Click to link it."));
+                    }
+                    linkButton.opacity = device.linked ? 255 : 96;
+                };
+                linkButton.x_expand = false;
+                updateLinkButton();
+                device.menuLabel.addActor(linkButton, { align: St.Align.END });
+            }
+        }
+
+        // Add a "refresh displays" button to refresh the list of monitors
+        let reload = new PopupMenu.PopupImageMenuItem(
+            _("Refresh Displays"),
+            "emblem-synchronizing-symbolic",
+            St.IconType.SYMBOLIC,
+            {
+                reactive: true,
+            }
+        );
+
+        menu.addMenuItem(reload);
+
+        // Re-detect displays when the button is clicked
+        reload.connect("activate", () => {
+            if (!this.options.isDetecting()) {
+                const infoOSD = new ModalDialog.InfoOSD(_("Detecting displays…"));
+                infoOSD.show();
+                reload.destroy();
+                this.options.redetect().then(
+                    (error) => {
+                        if (error) {
+                            new ModalDialog.NotifyDialog([
+                                _("Failed to detect displays."),
+                                _("Make sure you have ddcutil installed and the correct permissions."),
+                                _("Error: %s").replace("%s", error.message),
+                            ].join("\n")).open();
+                        } else {
+                            menu.open(true);
+                        }
+                    },
+                    e  => global.logError("Error: "  + e)
+                ).then(() => infoOSD.destroy());
+            }
+        });
+
+        // Add a separator between monitor settings and other items 
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    }
+
+    /**
+     * Updates the master slider and its label.
+     */
+    updateMasterSlider() {
+        if (!this.masterLabel) {
+            return;
+        }
+        const master = this.options.getMasterBrightness();
+        this.masterLabel.setLabel(master === null ? _("All Displays") : `${_("All Displays")}  (${formatPercent(master)})`);
+        this.masterSlider.setValue((master || 0) / 100);
+        this.masterSlider.setSensitive(master !== null);
+    }
+}
+
+/**
+ * QuickSettingsApplet is a custom Cinnamon applet that provides quick access to monitor settings 
+ * (brightness and contrast), Wi-Fi, and Bluetooth. It also detects connected displays.
+ *
+ * @extends Applet.IconApplet
+ */
+class QuickSettingsApplet extends Applet.IconApplet {
+    /**
+     * Constructor for initializing the QuickSettingsApplet.
+     *
+     * @param {object} metadata - The applet metadata.
+     * @param {string} orientation - The orientation of the applet in the panel.
+     * @param {number} panel_height - The height of the panel in which the applet resides.
+     * @param {number} instance_id - The unique ID for the applet instance.
+     */
+    constructor(metadata, orientation, panel_height, instance_id) {
+        super(orientation, panel_height, instance_id);
+        this.uuid = metadata.uuid;
+        this.detecting = false;
+        this.detectError = null; // Why the last `ddcutil detect` failed
+        this.monitorRefreshIntervalID = null;
+        this.set_applet_icon_symbolic_name("preferences-system");
+        this.set_applet_tooltip(DEFAULT_TOOLTIP); // Tooltip for the applet
+        this.actor.connect('scroll-event', (...args) => this._onScrollEvent(...args)); // Scroll event handler for brightness adjustment
+        // Further status icons next to the applet icon, see _updatePanelIcon()
+        this.indicatorIcons = PANEL_INDICATORS.slice(1).map(() => {
+            const icon = new St.Icon({ icon_type: St.IconType.SYMBOLIC, style_class: "applet-icon", visible: false });
+            this.actor.add_child(icon);
+            return icon;
+        });
+        this.lastTooltipTimeoutID = null;
+        this.monitors = [];
+        this.backlights = [];
+        this.masterBrightness = null; // Set once the master slider or scrolling is used
+        this.configDir = getConfigDir(metadata.uuid);
+        this.displayCache = {}; // Last known monitor values, keyed by display id
+        this.displayCacheContents = null;
+        this.displayCacheLoaded = this._loadDisplayCache();
+        this.tiles = []; // Toggle row entries, see _addTile()
+        this.commandTiles = []; // User-defined tiles from the applet settings
+        this.wifiFallbackEnabled = null; // Wi-Fi state read with nmcli while NetworkManager is not connected
+        this.udevClient = null;
+        this.udevSignalID = 0;
+        this.hotplugTimeoutID = null;
+        this.redetectPending = false;
+        this.battery = new BatterySection(() => this._onStatusChanged());
+        this.audio = new AudioSection();
+        this.nightLight = new NightLight(() => this._onStatusChanged());
+        this.doNotDisturb = new DoNotDisturb(() => this._onDoNotDisturbChanged());
+        this.keepAwake = new KeepAwake(metadata.uuid, () => this._onStatusChanged());
+        this.power = new PowerSection();
+        this.wifi = new WifiSection(() => this._onRadioChanged(), () => this._onStatusChanged());
+        this.bluetooth = new BluetoothSection(() => this._onRadioChanged());
+        this.network = new NetworkSection();
+        this.airplaneMode = new AirplaneMode(() => this._onAirplaneModeChanged()); // Also the hardware block of the Wi-Fi radio
+        this.profiles = new ProfileSection(GLib.build_filenamev([this.configDir, "profiles.json"]), metadata.uuid, {
+            capture: () => this._captureProfile(),
+            apply: (profile) => this._applyProfile(profile),
+        });
+        this.toggleRow = new ToggleRow(() => this.tiles);
+        this.displaySection = new DisplaySection({
+            getDevices: () => this._getBrightnessDevices(),
+            getMasterBrightness: () => this._getMasterBrightness(),
+            setMasterBrightness: (value) => this._setMasterBrightness(value),
+            setLinked: (device, linked) => this._setDisplayLinked(device, linked),
+            isDetecting: () => this.detecting,
+            redetect: () => this.updateMonitors().then(() => this.detectError),
+        });
+
+        // Bind the applet settings
+        this.settings = new Settings.AppletSettings(this, metadata.uuid, instance_id);
+        this.settings.bind("sections", "sectionSettings", this.updateMenu);
+        this.settings.bind("displays", "displaySettings", this._onDisplaySettingsChanged);
+        this.settings.bind("ddc-sleep-multiplier", "ddcSleepMultiplier", this._onDdcSettingsChanged);
+        this._onDdcSettingsChanged();
+        this.settings.bind("brightness-step", "brightnessStep");
+        this.settings.bind("volume-step", "volumeStep");
+        this.settings.bind("volume-scroll-modifier", "volumeScrollModifier");
+        this.settings.bind("tooltip-timeout", "tooltipTimeout");
+        for (const [key] of PANEL_INDICATORS) {
+            this.settings.bind(key, getBindingProperty(key), this._onStatusChanged);
+        }
+        this.settings.bind("wifi-settings-command", "wifiSettingsCommand", this._onCommandSettingsChanged);
+        this.settings.bind("bluetooth-settings-command", "bluetoothSettingsCommand");
+        this.settings.bind("custom-tiles", "customTileSettings", this._onCustomTilesChanged);
+        this.settings.bind("airplane-mode-restore", "airplaneModeRestore");
+        this.settings.bind("do-not-disturb-until", "doNotDisturbUntil");
+        this.doNotDisturb.restore(this.doNotDisturbUntil); // End a timed Do Not Disturb that ran out while unloaded
+        this._onDoNotDisturbChanged();
+        this._onCommandSettingsChanged();
+        this.settings.bind("night-light-schedule", "nightLightSchedule", this._onNightLightScheduleChanged);
+        this.settings.bind("night-light-from", "nightLightFrom", this._onNightLightScheduleChanged);
+        this.settings.bind("night-light-to", "nightLightTo", this._onNightLightScheduleChanged);
+        this.settings.bind("night-light-latitude", "nightLightLatitude", this._onNightLightScheduleChanged);
+        this.settings.bind("night-light-longitude", "nightLightLongitude", this._onNightLightScheduleChanged);
+        this._onNightLightScheduleChanged();
+        this.settings.bind("confirm-shutdown", "confirmShutdown", this._onPowerSettingsChanged);
+        this.settings.bind("confirm-restart", "confirmRestart", this._onPowerSettingsChanged);
+        this.settings.bind("confirm-suspend", "confirmSuspend", this._onPowerSettingsChanged);
+        this.settings.bind("confirm-hibernate", "confirmHibernate", this._onPowerSettingsChanged);
+        this.settings.bind("confirm-logout", "confirmLogout", this._onPowerSettingsChanged);
+        this.settings.bind("confirmation-countdown", "confirmationCountdown", this._onPowerSettingsChanged);
+        this._onPowerSettingsChanged();
+        this.settings.bind("profile-schedule", "profileSchedule", this._onProfileSettingsChanged);
+        this._onProfileSettingsChanged();
+        for (const [key] of KEYBINDINGS) {
+            this.settings.bind(key, getBindingProperty(key), this._bindKeys);
+        }
+
+        // Initialize the applet's popup menu
+        this.menuManager = new PopupMenu.PopupMenuManager(this);
+        this.menu = new Applet.AppletPopupMenu(this, orientation);
+        this.menuManager.addMenu(this.menu);
+        this.menu.connect("open-state-changed", (menu, open) => {
+            clearInterval(this.monitorRefreshIntervalID);
+            this.monitorRefreshIntervalID = null;
+            if (open) {
+                // Follow changes made on the monitors themselves while their sliders are visible
+                this.monitorRefreshIntervalID = setInterval(() => {
+                    this.monitors.filter((monitor) => this._isDisplayEnabled(monitor)).forEach((monitor) => monitor.refresh());
+                }, DDC_REFRESH_INTERVAL);
+            } else {
+                this._saveDisplayCache(); // Remember the values set from the menu
+            }
+        });
+        // Tab and Shift+Tab go through the toggle row, sliders and buttons in order, wrapping around
+        this.menu.actor.connect("key-press-event", (actor, event) => {
+            const key = event.get_key_symbol();
+            if (key !== Clutter.KEY_Tab && key !== Clutter.KEY_ISO_Left_Tab) {
+                return Clutter.EVENT_PROPAGATE;
+            }
+            const direction = key === Clutter.KEY_Tab ? St.DirectionType.TAB_FORWARD : St.DirectionType.TAB_BACKWARD;
+            actor.navigate_focus(global.stage.get_key_focus(), direction, true);
+            return Clutter.EVENT_STOP;
+        });
+
+        // Menu sections by id, see SECTION_MODULES
+        this.menuSections = {};
+        for (const module of SECTION_MODULES) {
+            this.menuSections[module.id] = module.create(this);
+        }
+
+        this._addMenuItems(); // Add the toggle row tiles such as Wi-Fi and Bluetooth
+        this.battery.start(); // Start following UPower and power-profiles-daemon
+        this.audio.start(); // Start following the default sound devices
+        this.power.start(); // Find out which session actions are allowed
+        this.wifi.start(); // Start following the visible Wi-Fi networks
+        this.network.start(); // Start following the wired, VPN and hotspot connections
+        this.bluetooth.start(); // Start following the Bluetooth adapter and devices
+        this.profiles.start(); // Load the profiles and bind their hotkeys
+        this._watchHotplug(); // Re-detect displays when they are plugged or unplugged
+        this.updateStatus(); // Update the applet's status for monitors, Wi-Fi, and Bluetooth
+        this._bindKeys(); // Register the global keybindings
+    }
+
+    /**
+     * Creates the toggle row tiles (Wi-Fi, Bluetooth, night light, Do Not Disturb, keep awake and
+     * airplane mode) and builds the popup menu. Also initializes the detection of connected monitors.
+     *
+     * @private
+     */
+    _addMenuItems() {
+        this.wifiTile = this._addTile(new Tile({
+            label: _("Wi-Fi"),
+            iconName: "network-wireless-symbolic",
+            getStatus: () => this._getWifiStatus(),
+            toggle: (state) => runCommands([state ? 'nmcli radio wifi on' : 'nmcli radio wifi off']),
+            settingsAction: () => Util.spawnCommandLine(this.wifiSettingsCommand),
+        }));
+        this.bluetoothTile = this._addTile(new Tile({
+            label: _("Bluetooth"),
+            iconName: "bluetooth-symbolic",
+            getStatus: () => this._getBluetoothStatus(),
+            toggle: (state) => this._toggleBluetooth(state),
+            refresh: () => this.bluetooth.refreshRfkill(),
+            // Open the configured Bluetooth manager (blueman-manager by default)
+            settingsAction: () => Util.spawnCommandLine(this.bluetoothSettingsCommand),
+        }));
+        this.nightLightTile = this._addTile(new Tile({
+            label: _("Night Light"),
+            iconName: "night-light-symbolic",
+            getStatus: () => ({
+                available: this.nightLight.isAvailable(),
+                active: this.nightLight.isEnabled(),
+                summary: this.nightLight.isEnabled() ? `${_("Night Light")}: ${_("On")}` : null,
+            }),
+            toggle: (state) => this.nightLight.setEnabled(state),
+        }));
+        this.doNotDisturbTile = this._addTile(new Tile({
+            label: _("Do Not Disturb"),
+            iconName: "notifications-disabled-symbolic",
+            getStatus: () => ({
+                available: this.doNotDisturb.isAvailable(),
+                active: this.doNotDisturb.isActive(),
+                description: this.doNotDisturb.describe(),
+                summary: this.doNotDisturb.isActive() ? `${_("Do Not Disturb")}: ${this.doNotDisturb.describe() || _("On")}` : null,
+            }),
+            toggle: (state) => this.doNotDisturb.setActive(state),
+            details: [this.doNotDisturb],
+        }));
+        this.keepAwakeTile = this._addTile(new Tile({
+            label: _("Keep Awake"),
+            iconName: "preferences-desktop-screensaver-symbolic",
+            getStatus: () => ({
+                active: this.keepAwake.isActive(),
+                description: this.keepAwake.describe(),
+                summary: this.keepAwake.isActive() ? `${_("Keep Awake")}: ${this.keepAwake.describe() || _("On")}` : null,
+            }),
+            toggle: (state) => this.keepAwake.setActive(state),
+            details: [this.keepAwake],
+        }));
+        this.airplaneTile = this._addTile(new Tile({
+            label: _("Airplane Mode"),
+            iconName: "airplane-mode-symbolic",
+            getStatus: () => {
+                const state = this.airplaneMode.getState();
+                // Cannot be flipped while a hardware switch blocks every radio
+                return { available: state.available, active: state.enabled, hardwareDisabled: state.hardBlocked };
+            },
+            toggle: (state) => this._toggleAirplaneMode(state),
+            refresh: () => this.updateStatus(),
+        }));
+        this._addCommandTiles();
+
+        // Show the switches right away, the displays are added once they are detected
+        this.updateMenu();
+        
+        // Detect and display monitor settings
+        this.updateMonitors();
+    }
+
+    /**
+     * Adds a tile to the end of the toggle row.
+     *
+     * @param {Tile} tile - The tile.
+     * @returns {Tile} The tile.
+     * @private
+     */
+    _addTile(tile) {
+        this.tiles.push(tile);
+        return tile;
+    }
+
+    /**
+     * Adds the user-defined tiles from the applet settings after the built-in ones.
+     *
+     * @private
+     */
+    _addCommandTiles() {
+        for (const config of this.customTileSettings || []) {
+            if (!config.enabled || !(config["on-command"] || config["off-command"] || config["status-command"])) {
+                continue;
+            }
+            const commandTile = new CommandTile(config, () => this._onStatusChanged());
+            this.commandTiles.push(commandTile);
+            this._addTile(commandTile.tile);
+            commandTile.start();
+        }
+    }
+
+    /**
+     * Replaces the user-defined tiles after they were changed in the applet settings.
+     *
+     * @private
+     */
+    _onCustomTilesChanged() {
+        this._destroyCommandTiles();
+        this._addCommandTiles();
+        this.updateMenu();
+    }
+
+    /**
+     * Stops and removes the user-defined tiles.
+     *
+     * @private
+     */
+    _destroyCommandTiles() {
+        this.commandTiles.forEach((commandTile) => {
+            this.tiles = this.tiles.filter((tile) => tile !== commandTile.tile);
+            commandTile.destroy();
+        });
+        this.commandTiles = [];
+    }
+
+    /**
+     * Detects connected monitors and retrieves their brightness and contrast settings.
+     *
+     * @param {boolean} [init=true] - Whether the detection is happening on initialization.
+     * @returns {Promise<void>} A promise that resolves when the monitors have been detected and their settings fetched.
+     */
+    async updateMonitors(init = true) {
+        this.detecting = true;
+        this.backlights = await getBacklights();
+        await Promise.all(this.backlights.map((backlight) => backlight.updateBrightness()));
+
+        global.log("Detecting displays...");
+        // Without ddcutil there are no external displays, but the backlight is still usable. The
+        // error is only shown when the user asked for the detection, see "Refresh Displays".
+        this.detectError = null;
+        const displays = await getDisplays().catch((e) => {
+            this.detectError = e;
+            return [];
+        });
+        await this.displayCacheLoaded;
+        const previous = new Map(this.monitors.map((monitor) => [monitor.getDisplayKey(), monitor]));
+        this.monitors = displays.map((d) => {
+            // Keep the Monitor object of a display that was already known, it may have moved to another bus
+            let monitor = previous.get(d.id);
+            if (monitor) {
+                monitor.index = d.index;
+                monitor.bus = d.bus;
+                return monitor;
+            }
+            monitor = new Monitor(d.index, d.name, d.bus, d.id);
+            // Show the last known values until the display answers
+            const cached = this.displayCache[d.id];
+            if (cached) {
+                monitor.brightness = cached.brightness;
+                monitor.contrast = cached.contrast;
+            }
+            return monitor;
+        });
+
+        if (this.monitors.length === 0) {
+            global.log("Could not find any ddc/ci displays.", "warning");
+        }
+        [...this.backlights, ...this.monitors].forEach((device) => {
+            device.onChanged = () => this._onStatusChanged(); // The tooltip lists every display's brightness
+        });
+        this._registerDisplays();
+        this._applyDisplaySettings();
+
+        if (init) {
+            // Update the applet menu after initial detection
+            this.updateMenu();
+        }
+
+        // Get brightness, contrast and supported features for each monitor
+        for (const monitor of this.monitors) {
+            global.log(`Getting brightness of display ${monitor.index}...`);
+            await monitor.updateBrightness();
+            await monitor.updateContrast();
+            await monitor.updateCapabilities();
+        }
+        this._saveDisplayCache();
+
+        this.detecting = false;
+        if (!init) {
+            // Update menu after detection is complete
+            this.updateMenu();
+        }
+    }
+
+    /**
+     * Follows udev events for display connectors and backlights.
+     *
+     * @private
+     */
+    _watchHotplug() {
+        if (!GUdev) {
+            global.log("GUdev is not available, displays will not be re-detected automatically.");
+            return;
+        }
+        this.udevClient = new GUdev.Client({ subsystems: ["drm", "backlight"] });
+        this.udevSignalID = this.udevClient.connect("uevent", (client, action, device) => {
+            if (device.get_subsystem() === "backlight") {
+                // Brightness changed outside the applet, e.g. by the firmware on a hotkey
+                this.backlights.forEach((backlight) => backlight.updateBrightness());
+                return;
+            }
+            // Connectors report "change" when a display is plugged or unplugged; wait for the burst to end
+            clearTimeout(this.hotplugTimeoutID);
+            this.hotplugTimeoutID = setTimeout(() => {
+                this.hotplugTimeoutID = null;
+                this._redetectDisplays();
+            }, HOTPLUG_DELAY);
+        });
+    }
+
+    /**
+     * Re-detects the displays after a hotplug event. If a detection is already running, another
+     * one follows it so the latest change is not missed.
+     *
+     * @private
+     */
+    _redetectDisplays() {
+        if (this.detecting) {
+            this.redetectPending = true;
+            return;
+        }
+        global.log("Display hotplug detected.");
+        this.updateMonitors(false).catch((e) => {
+            global.logError("Error: " + e);
+            this.detecting = false;
+        }).then(() => {
+            if (this.redetectPending) {
+                this.redetectPending = false;
+                this._redetectDisplays();
+            }
+        });
+    }
+
+    /**
+     * Updates the applet's popup menu with the detected monitor brightness and contrast, showing
+     * the sections in the order chosen in the applet settings.
+     */
+    updateMenu() {
+        // Clear existing menu items, taking out what outlives the menu first
+        for (const section of Object.values(this.menuSections)) {
+            if (section.detach) {
+                section.detach();
+            }
+        }
+        this.menu.removeAll();
+
+        for (const section of this._getVisibleSections()) {
+            this.menuSections[section].addToMenu(this.menu);
+        }
+    }
+
+    /**
+     * Returns the menu sections to show, in order, as configured in the applet settings.
+     *
+     * @returns {Array<string>} Section ids from `SECTIONS`.
+     * @private
+     */
+    _getVisibleSections() {
+        let visible = [];
+        for (const entry of this.sectionSettings || []) {
+            if (entry.visible && SECTIONS.includes(entry.section) && !visible.includes(entry.section)) {
+                visible.push(entry.section);
+            }
+        }
+        return visible;
+    }
+
+    /**
+     * Returns a display's entry in the display list of the applet settings.
+     *
+     * @param {Backlight|Monitor} device - The display.
+     * @returns {object|undefined} The entry, or undefined if the display is not listed yet.
+     * @private
+     */
+    _getDisplayEntry(device) {
+        return (this.displaySettings || []).find((d) => d.id === device.getDisplayKey());
+    }
+
+    /**
+     * Whether a display is enabled in the applet settings. Displays that are not listed yet are enabled.
+     *
+     * @param {Backlight|Monitor} device - The display.
+     * @returns {boolean} True if the display should be shown and follow scrolling.
+     * @private
+     */
+    _isDisplayEnabled(device) {
+        const entry = this._getDisplayEntry(device);
+        return !entry || entry.enabled;
+    }
+
+    /**
+     * Adds newly detected displays to the display list in the applet settings, so they can be
+     * renamed, hidden or limited from the preferences. Displays that are unplugged keep their entry.
+     *
+     * @private
+     */
+    _registerDisplays() {
+        let displays = (this.displaySettings || []).map((d) => Object.assign({}, d));
+        let changed = false;
+        for (const device of [...this.backlights, ...this.monitors]) {
+            const id = device.getDisplayKey();
+            if (displays.some((d) => d.id === id)) {
+                continue;
+            }
+            displays.push({ id, label: "", enabled: true, "min-brightness": 0, "max-brightness": 100, linked: true, offset: 0, curve: 1 });
+            changed = true;
+        }
+        if (changed) {
+            this.settings.setValue("displays", displays);
+        }
+    }
+
+    /**
+     * Passes the custom name, brightness limits and master brightness calibration from the applet
+     * settings to each display.
+     *
+     * @private
+     */
+    _applyDisplaySettings() {
+        const number = (value, fallback) => typeof value === "number" ? value : fallback;
+        for (const device of [...this.backlights, ...this.monitors]) {
+            const entry = this._getDisplayEntry(device) || {};
+            device.configure({
+                label: entry.label,
+                minBrightness: number(entry["min-brightness"], 0),
+                maxBrightness: number(entry["max-brightness"], 100),
+                linked: entry.linked !== false,
+                offset: number(entry.offset, 0),
+                curve: number(entry.curve, 1),
+            });
+        }
+    }
+
+    /**
+     * Links a display to the master brightness or unlinks it, and stores the choice in the
+     * applet settings.
+     *
+     * @param {Backlight|Monitor} device - The display.
+     * @param {boolean} linked - Whether the display follows the master brightness.
+     * @private
+     */
+    _setDisplayLinked(device, linked) {
+        device.linked = linked;
+        const id = device.getDisplayKey();
+        this.settings.setValue("displays", (this.displaySettings || []).map((d) => {
+            return d.id === id ? Object.assign({}, d, { linked }) : d;
+        }));
+        this.displaySection.updateMasterSlider();
+    }
+
+    /**
+     * Returns the enabled displays that follow the master brightness. A single display always
+     * does, as it has no link toggle.
+     *
+     * @returns {Array<Backlight|Monitor>} The linked displays.
+     * @private
+     */
+    _getLinkedDevices() {
+        const devices = this._getBrightnessDevices();
+        return devices.length > 1 ? devices.filter((device) => device.linked) : devices;
+    }
+
+    /**
+     * Sets the master brightness and moves every linked display along with it.
+     *
+     * @param {number} value - The master brightness in percent.
+     * @private
+     */
+    _setMasterBrightness(value) {
+        this.masterBrightness = Math.min(100, Math.max(0, Math.round(value)));
+        this._getLinkedDevices().forEach((device) => {
+            device.setBrightness(device.getLinkedBrightness(this.masterBrightness));
+        });
+        this.displaySection.updateMasterSlider();
+    }
+
+    /**
+     * Returns the master brightness. Until it has been set, it is derived from the first linked
+     * display, so the first step starts from what is on screen.
+     *
+     * @returns {number|null} The master brightness in percent, or null without linked displays.
+     * @private
+     */
+    _getMasterBrightness() {
+        if (this.masterBrightness === null) {
+            const [first] = this._getLinkedDevices();
+            return first ? first.getMasterBrightness() : null;
+        }
+        return this.masterBrightness;
+    }
+
+    /**
+     * Applies the display settings and rebuilds the menu after they were changed in the preferences.
+     *
+     * @private
+     */
+    _onDisplaySettingsChanged() {
+        this._applyDisplaySettings();
+        if (!this.detecting) {
+            this.updateMenu();
+        }
+    }
+
+    /**
+     * Passes the DDC/CI timing setting to the ddcutil scheduler.
+     *
+     * @private
+     */
+    _onDdcSettingsChanged() {
+        ddcScheduler.setSleepMultiplier(this.ddcSleepMultiplier);
+    }
+
+    /**
+     * Returns the path of the file holding the last known monitor values.
+     *
+     * @returns {string} The absolute path.
+     * @private
+     */
+    _getDisplayCachePath() {
+        return GLib.build_filenamev([this.configDir, "displays.json"]);
+    }
+
+    /**
+     * Reads the last known monitor values from disk.
+     *
+     * @returns {Promise} A promise that resolves once the cache is read, or found missing.
+     * @private
+     */
+    _loadDisplayCache() {
+        return readFile(this._getDisplayCachePath()).then((contents) => {
+            this.displayCache = JSON.parse(contents);
+            // As _saveDisplayCache() would write it, so an unchanged cache is not written again
+            this.displayCacheContents = JSON.stringify(this.displayCache, null, 4) + "\n";
+        }).catch((e) => {
+            if (!e.matches || !e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                global.logError(`Failed to read ${this._getDisplayCachePath()}: ${e.message}`);
+            }
+        });
+    }
+
+    /**
+     * Writes the current monitor values to disk, so they can be shown right away the next time
+     * the displays are detected. Values of unplugged monitors are kept.
+     *
+     * @private
+     */
+    _saveDisplayCache() {
+        let cache = Object.assign({}, this.displayCache);
+        for (const monitor of this.monitors) {
+            cache[monitor.getDisplayKey()] = { brightness: monitor.brightness, contrast: monitor.contrast };
+        }
+        const contents = JSON.stringify(cache, null, 4) + "\n";
+        if (contents === this.displayCacheContents) {
+            return;
+        }
+        this.displayCache = cache;
+        this.displayCacheContents = contents;
+        writeFile(this._getDisplayCachePath(), contents).catch((e) => {
+            global.logError(`Failed to write ${this._getDisplayCachePath()}: ${e.message}`);
+        });
+    }
+
+    /**
+     * Passes the configured settings commands to the sections that launch them.
+     *
+     * @private
+     */
+    _onCommandSettingsChanged() {
+        this.wifi.settingsCommand = this.wifiSettingsCommand;
+    }
+
+
+    /**
+     * Powers the Bluetooth adapter on or off, unblocking the radio first if needed.
+     *
+     * @param {boolean} state - Whether to power the adapter on.
+     * @returns {Promise} A promise that resolves once the commands have finished.
+     * @private
+     */
+    _toggleBluetooth(state) {
+        let commands = [state ? 'bluetoothctl power on' : 'bluetoothctl power off'];
+        if (state && this.bluetooth.getAdapterState().softBlocked) {
+            // The adapter cannot be powered while the radio is blocked
+            commands.unshift('rfkill unblock bluetooth');
+        }
+        return runCommands(commands);
+    }
+
+    /**
+     * Turns airplane mode on or off. Turning it on remembers which radios were on, so turning it
+     * off restores exactly those.
+     *
+     * @param {boolean} state - Whether to turn airplane mode on.
+     * @returns {Promise} A promise that resolves once the commands have finished.
+     * @private
+     */
+    _toggleAirplaneMode(state) {
+        let commands;
+        if (state) {
+            const radio = this.wifi.getRadioState();
+            const result = this.airplaneMode.getEnableCommands(radio ? radio.wwanEnabled : false);
+            commands = result.commands;
+            // Kept in the settings, so it survives the applet being reloaded while in airplane mode
+            this.settings.setValue("airplane-mode-restore", result.restore);
+        } else {
+            const restore = this.airplaneModeRestore && Array.isArray(this.airplaneModeRestore.radios) ? this.airplaneModeRestore : null;
+            commands = this.airplaneMode.getDisableCommands(restore);
+            // Used up; the next time airplane mode is entered saves a new set
+            this.settings.setValue("airplane-mode-restore", null);
+        }
+        // Reads that started while the radios were being switched show a state in between
+        this.airplaneMode.invalidate();
+        const done = () => this.airplaneMode.invalidate();
+        return runCommands(commands).then(done, (e) => {
+            done();
+            throw e;
+        });
+    }
+
+    /**
+     * Forgets the radios to restore once airplane mode was left without the applet (e.g. with
+     * the radio switches or an Fn key), so entering it again the same way later and leaving it
+     * from the applet turns every radio back on instead of restoring a stale set.
+     *
+     * @private
+     */
+    _onAirplaneModeChanged() {
+        const state = this.airplaneMode.getState();
+        // While the tile is switching, the radios are being blocked one by one
+        const switching = (this.airplaneTile && this.airplaneTile.pending) || this.airplaneMode.isOutdated();
+        if (state.available && !state.enabled && !switching && this.airplaneModeRestore) {
+            this.settings.setValue("airplane-mode-restore", null);
+        }
+        this._onStatusChanged();
+    }
+
+    /**
+     * Updates the tiles after NetworkManager or BlueZ reported a radio change.
+     *
+     * @private
+     */
+    _onRadioChanged() {
+        this.airplaneMode.refresh();
+        this._onStatusChanged(); // Also called for every Bluetooth device change
+    }
+
+    /**
+     * Returns the state of the Wi-Fi tile.
+     *
+     * @returns {object|null} The tile state, or null while it is unknown.
+     * @private
+     */
+    _getWifiStatus() {
+        let radio = this.wifi.getRadioState();
+        if (!radio) {
+            // NetworkManager is not connected, see _updateWifiFallbackState()
+            return this.wifiFallbackEnabled === null ? null : { active: this.wifiFallbackEnabled };
+        }
+        // Kept up to date by NetworkManager's signals
+        const rfkill = this.airplaneMode.getRadioState("wlan");
+        const hardBlocked = !radio.hardwareEnabled || (rfkill !== null && rfkill.hard);
+        let summary = null;
+        if (this.wifi.device) {
+            const network = this.wifi.getActiveNetwork();
+            let state = _("Off");
+            if (radio.enabled) {
+                state = network ? `${network.ssid} (${formatPercent(network.strength)})` : _("Not connected");
+            }
+            summary = `${_("Wi-Fi")}: ${state}`;
+        }
+        return { active: radio.enabled && !hardBlocked, hardwareDisabled: hardBlocked, summary };
+    }
+
+    /**
+     * Reads the Wi-Fi state with nmcli while NetworkManager's client is not connected.
+     *
+     * @returns {Promise} A promise that resolves when the Wi-Fi tile is updated.
+     * @private
+     */
+    _updateWifiFallbackState() {
+        if (this.wifi.getRadioState()) {
+            return Promise.resolve();
+        }
+        return commandRunner.check('nmcli radio wifi').then((stdout) => {
+            this.wifiFallbackEnabled = stdout.trim() === 'enabled';
+            this.wifiTile.update();
+        }, (e) => {
+            global.logError("Error updating Wi-Fi switch state in Quick Settings applet: " + e.message);
+        });
+    }
+
+    /**
+     * Returns the state of the Bluetooth tile: off while the radio is blocked, and hardware
+     * disabled while it is blocked in hardware.
+     *
+     * @returns {object} The tile state.
+     * @private
+     */
+    _getBluetoothStatus() {
+        const state = this.bluetooth.getAdapterState();
+        let summary = null;
+        if (state.available) {
+            const connected = this.bluetooth.getDevices().filter((device) => device.connected).map((device) => device.name);
+            let description = _("Off");
+            if (state.powered) {
+                description = connected.length > 0 ? connected.join(", ") : _("No devices connected");
+            }
+            summary = `${_("Bluetooth")}: ${description}`;
+        }
+        return { active: state.powered && !state.softBlocked && !state.hardBlocked, hardwareDisabled: state.hardBlocked, summary };
+    }
+
+    /**
+     * Updates the status of Wi-Fi, Bluetooth, and monitors in the applet.
+     */    
+    updateStatus() {
+        this.tiles.forEach((tile) => tile.update());
+        this._updateWifiFallbackState();
+        this.bluetooth.refreshRfkill();
+        this.airplaneMode.refresh();
+        this.battery.refresh();
+        this._getBrightnessDevices().forEach((device) => {
+            device.updateBrightness();
+        });
+    }
+
+    /**
+     * Returns every enabled display whose brightness the applet controls: internal backlights
+     * first, followed by the external DDC/CI monitors.
+     *
+     * @returns {Array<Backlight|Monitor>} The controllable displays.
+     * @private
+     */
+    _getBrightnessDevices() {
+        return [...this.backlights, ...this.monitors].filter((device) => this._isDisplayEnabled(device));
+    }
+
+    /**
+     * Applies the power action confirmation settings.
+     *
+     * @private
+     */
+    _onPowerSettingsChanged() {
+        this.power.configure({
+            shutdown: this.confirmShutdown,
+            restart: this.confirmRestart,
+            suspend: this.confirmSuspend,
+            hibernate: this.confirmHibernate,
+            logout: this.confirmLogout,
+        }, this.confirmationCountdown);
+    }
+
+    /**
+     * Turns the profile schedule on or off.
+     *
+     * @private
+     */
+    _onProfileSettingsChanged() {
+        this.profiles.setScheduleEnabled(this.profileSchedule);
+    }
+
+    /**
+     * Reads the current settings of all displays, the output volume and the night light, for
+     * saving into a profile.
+     *
+     * @returns {object} The settings in the profile format.
+     * @private
+     */
+    _captureProfile() {
+        let profile = { displays: {} };
+        for (const device of [...this.backlights, ...this.monitors]) {
+            let values = { brightness: device.brightness };
+            if (device instanceof Monitor && device.supports(VCP.CONTRAST)) {
+                values.contrast = device.contrast;
+            }
+            profile.displays[device.getDisplayKey()] = values;
+        }
+        if (this.audio.sink) {
+            profile.volume = this.audio.getVolume(this.audio.sink);
+        }
+        if (this.nightLight.isAvailable()) {
+            profile.nightLight = { enabled: this.nightLight.isEnabled(), temperature: this.nightLight.getTemperature() };
+        }
+        return profile;
+    }
+
+    /**
+     * Applies a profile to the displays it lists that are connected, the output volume and the
+     * night light. Settings missing from the profile are left alone.
+     *
+     * @param {object} profile - The profile to apply.
+     * @private
+     */
+    _applyProfile(profile) {
+        const displays = profile.displays || {};
+        for (const device of [...this.backlights, ...this.monitors]) {
+            const values = displays[device.getDisplayKey()];
+            if (!values) {
+                continue;
+            }
+            if (typeof values.brightness === "number") {
+                device.setBrightness(Math.min(100, Math.max(0, values.brightness)));
+            }
+            if (device instanceof Monitor && typeof values.contrast === "number" && device.supports(VCP.CONTRAST)) {
+                device.setContrast(Math.min(100, Math.max(0, values.contrast)));
+            }
+        }
+        // Derive the master brightness from the displays again
+        this.masterBrightness = null;
+        this.displaySection.updateMasterSlider();
+        if (typeof profile.volume === "number" && this.audio.sink) {
+            this.audio.setVolume(this.audio.sink, profile.volume);
+        }
+        if (profile.nightLight) {
+            if (typeof profile.nightLight.temperature === "number") {
+                this.nightLight.setTemperature(profile.nightLight.temperature);
+            }
+            if (typeof profile.nightLight.enabled === "boolean") {
+                this.nightLight.setEnabled(profile.nightLight.enabled);
+            }
+        }
+    }
+
+    /**
+     * Saves the end time of a timed Do Not Disturb, so it survives a reload of the applet, and
+     * updates the panel icon.
+     *
+     * @private
+     */
+    _onDoNotDisturbChanged() {
+        const until = this.doNotDisturb.getUntil();
+        if (until !== (this.doNotDisturbUntil || null)) {
+            this.settings.setValue("do-not-disturb-until", until);
+        }
+        this._onStatusChanged();
+    }
+
+    /**
+     * Updates the panel icon and tooltip after the Wi-Fi, Bluetooth, battery, night light, Do Not
+     * Disturb or display state changed.
+     *
+     * @private
+     */
+    _onStatusChanged() {
+        if (!this.settings) {
+            return; // Still constructing
+        }
+        this.tiles.forEach((tile) => tile.update());
+        this._updatePanelIcon();
+        if (!this.lastTooltipTimeoutID) {
+            this._updateTooltip(); // Leave a visible scroll tooltip alone
+        }
+    }
+
+    /**
+     * Shows the enabled indicators that currently have something to show: the first one as the
+     * applet icon and the others next to it. Without any, the applet shows its default icon.
+     *
+     * @private
+     */
+    _updatePanelIcon() {
+        const iconNames = PANEL_INDICATORS.filter(([key]) => this[getBindingProperty(key)])
+            .map(([, indicator]) => this._getIndicatorIconName(indicator))
+            .filter((iconName) => iconName !== null);
+        this.set_applet_icon_symbolic_name(iconNames.length > 0 ? iconNames[0] : "preferences-system");
+        const size = this.getPanelIconSize(St.IconType.SYMBOLIC);
+        this.indicatorIcons.forEach((icon, i) => {
+            const iconName = iconNames[i + 1];
+            icon.visible = iconName !== undefined;
+            if (icon.visible) {
+                icon.icon_name = iconName;
+                icon.icon_size = size;
+            }
+        });
+    }
+
+    /**
+     * Returns the icon of a panel indicator.
+     *
+     * @param {string} indicator - An indicator from `PANEL_INDICATORS`.
+     * @returns {string|null} The icon name, or null when the indicator has nothing to show.
+     * @private
+     */
+    _getIndicatorIconName(indicator) {
+        switch (indicator) {
+            case "battery": {
+                const summary = this.battery.getSummary();
+                return summary ? summary.iconName : null;
+            }
+            case "wifi": {
+                const network = this.wifi.getActiveNetwork();
+                return network ? getSignalIconName(network.strength) : null;
+            }
+            case "bluetooth":
+                return this.bluetooth.getDevices().some((device) => device.connected) ? "bluetooth-active-symbolic" : null;
+            case "night-light":
+                return this.nightLight.isEnabled() ? "night-light-symbolic" : null;
+            case "do-not-disturb":
+                return this.doNotDisturb.isActive() ? "notifications-disabled-symbolic" : null;
+        }
+        return null;
+    }
+
+    /**
+     * Sets the hover tooltip to the summaries of the tiles (e.g. the Wi-Fi network and the
+     * connected Bluetooth devices), the battery charge and the brightness of every display.
+     *
+     * @private
+     */
+    _updateTooltip() {
+        let lines = [DEFAULT_TOOLTIP];
+        for (const tile of this.tiles) {
+            const status = tile.getStatus();
+            if (status && status.summary) {
+                lines.push(status.summary);
+            }
+        }
+        const summary = this.battery.getSummary();
+        if (summary) {
+            lines.push(`${_("Battery")}: ${this.battery.describe(summary)}`);
+        }
+        for (const device of this._getBrightnessDevices()) {
+            lines.push(`${device.label}: ${formatPercent(device.brightness)}`);
+        }
+        this.set_applet_tooltip(lines.join("\n"));
+    }
+
+    /**
+     * Resizes the status icons next to the applet icon with the panel.
+     */
+    on_panel_height_changed() {
+        this._updatePanelIcon();
+    }
+
+    /**
+     * Handles the applet click event, updating the status and toggling the menu visibility.
+     */    
+    on_applet_clicked() {
+        this.updateStatus();
+        this.menu.toggle();
+    }
+
+    /**
+     * Handles the applet being added to the panel, initializing monitor detection.
+     */    
+    on_applet_added_to_panel() {
+        if(!this.detecting) {
+            this.updateMonitors();
+        }
+    }
+
+    /**
+     * Handles the applet being removed from the panel, disconnecting from D-Bus signals.
+     */
+    on_applet_removed_from_panel() {
+        clearInterval(this.monitorRefreshIntervalID);
+        ddcScheduler.clear();
+        commandRunner.cancelAll();
+        KEYBINDINGS.forEach(([, action]) => Main.keybindingManager.removeHotKey(`${this.uuid}-${action}`));
+        clearTimeout(this.hotplugTimeoutID);
+        clearTimeout(this.lastTooltipTimeoutID);
+        this.lastTooltipTimeoutID = null;
+        if (this.udevClient) {
+            this.udevClient.disconnect(this.udevSignalID);
+            this.udevClient = null;
+        }
+        this.battery.destroy();
+        this.audio.destroy();
+        this.nightLight.destroy();
+        this.doNotDisturb.destroy();
+        this.keepAwake.destroy(); // Lets the screen blank again
+        this._destroyCommandTiles();
+        this.wifi.destroy();
+        this.network.destroy();
+        this.bluetooth.destroy();
+        this.profiles.destroy();
+        this._saveDisplayCache();
+        this.settings.finalize();
+    }
+
+    /**
+     * Registers the global keybindings set in the applet settings, replacing the previous ones.
+     *
+     * @private
+     */
+    _bindKeys() {
+        for (const [key, action] of KEYBINDINGS) {
+            const id = `${this.uuid}-${action}`;
+            Main.keybindingManager.removeHotKey(id);
+            const accelerators = this[getBindingProperty(key)];
+            if (accelerators) {
+                Main.keybindingManager.addHotKey(id, accelerators, () => this._runKeybinding(action));
+            }
+        }
+    }
+
+    /**
+     * Runs the action of a global keybinding through the same code as the menu controls, and
+     * shows the result in Cinnamon's on-screen display.
+     *
+     * @param {string} action - The action, as listed in `KEYBINDINGS`.
+     * @private
+     */
+    _runKeybinding(action) {
+        switch (action) {
+            case "brightness-up":
+            case "brightness-down": {
+                // Moves the master brightness, like scrolling on the panel icon
+                const step = action === "brightness-up" ? this.brightnessStep : -this.brightnessStep;
+                const master = this._getMasterBrightness();
+                if (master === null) {
+                    this._showOSD("display-brightness-symbolic");
+                    return;
+                }
+                this._setMasterBrightness(master + step);
+                this._saveDisplayCache();
+                this._showOSD("display-brightness-symbolic", this.masterBrightness);
+                break;
+            }
+            case "contrast-up":
+            case "contrast-down": {
+                const step = action === "contrast-up" ? this.brightnessStep : -this.brightnessStep;
+                const monitors = this._getBrightnessDevices().filter((device) => device instanceof Monitor && device.supports(VCP.CONTRAST));
+                if (monitors.length === 0) {
+                    this._showOSD("video-display-symbolic");
+                    return;
+                }
+                monitors.forEach((monitor) => monitor.setContrast(monitor.contrast + step));
+                this._showOSD("video-display-symbolic", average(monitors.map((monitor) => monitor.contrast)));
+                break;
+            }
+            case "toggle-wifi":
+                this._toggleTile(this.wifiTile, "network-wireless-signal-excellent-symbolic", "network-wireless-offline-symbolic");
+                break;
+            case "toggle-bluetooth":
+                this._toggleTile(this.bluetoothTile, "bluetooth-active-symbolic", "bluetooth-disabled-symbolic");
+                break;
+            case "toggle-night-light":
+                this._toggleTile(this.nightLightTile, "night-light-symbolic", "night-light-symbolic");
+                break;
+            case "open-menu":
+                this.on_applet_clicked();
+                break;
+        }
+    }
+
+    /**
+     * Flips a tile as if it was clicked, unless it cannot be changed right now.
+     *
+     * @param {Tile} tile - The tile.
+     * @param {string} onIcon - The icon shown in the OSD when the tile turns on.
+     * @param {string} offIcon - The icon shown in the OSD when the tile turns off.
+     * @private
+     */
+    _toggleTile(tile, onIcon, offIcon) {
+        const state = tile.toggle();
+        if (state !== null) {
+            this._showOSD(state ? onIcon : offIcon);
+        }
+    }
+
+    /**
+     * Shows Cinnamon's on-screen display on the primary monitor.
+     *
+     * @param {string} iconName - The icon name.
+     * @param {number} [level] - The level bar value in percent; no bar when omitted.
+     * @private
+     */
+    _showOSD(iconName, level) {
+        Main.osdWindowManager.show(Main.layoutManager.primaryIndex, Gio.ThemedIcon.new(iconName), level);
+    }
+
+    /**
+     * Applies the night light schedule from the applet settings.
+     *
+     * @private
+     */
+    _onNightLightScheduleChanged() {
+        this.nightLight.setSchedule({
+            mode: this.nightLightSchedule,
+            from: this.nightLightFrom,
+            to: this.nightLightTo,
+            latitude: this.nightLightLatitude,
+            longitude: this.nightLightLongitude,
+        });
+    }
+
+    /**
+     * Handles scroll events on the applet, adjusting the brightness of the internal panel and the
+     * connected monitors, or the output volume while the volume modifier key is held.
+     *
+     * @param {object} actor - The actor receiving the scroll event.
+     * @param {object} event - The scroll event object.
+     * @private
+     */    
+    _onScrollEvent(actor, event) {
+        let direction = event.get_scroll_direction();
+        if (direction == Clutter.ScrollDirection.SMOOTH) {
+            return;
+        }
+
+        clearTimeout(this.lastTooltipTimeoutID);
+        let up = direction == Clutter.ScrollDirection.UP;
+        let tooltipMessage;
+        if (event.get_state() & SCROLL_MODIFIERS[this.volumeScrollModifier]) {
+            let volume = this.audio.adjustVolume(up ? this.volumeStep : -this.volumeStep);
+            tooltipMessage = volume === null ? _("No audio output") : `${_("Volume")}: ${formatPercent(volume)}`;
+        } else {
+            // Scrolling moves the master brightness, like the All Displays slider
+            const master = this._getMasterBrightness();
+            if (master === null) {
+                tooltipMessage = _("No linked displays");
+            } else {
+                this._setMasterBrightness(master + (up ? this.brightnessStep : -this.brightnessStep));
+                tooltipMessage = this._getLinkedDevices().map((device) => `${device.label}: ${formatPercent(device.brightness)}`).join("\n");
+            }
+        }
+
+        this.set_applet_tooltip(tooltipMessage);
+        this._applet_tooltip.show();
+        this.lastTooltipTimeoutID = setTimeout(() => {
+            this.lastTooltipTimeoutID = null;
+            this._applet_tooltip.hide();
+            this._updateTooltip();
+            this._saveDisplayCache();
+        }, this.tooltipTimeout);
+    }
+}
+
+/**
+ * Asynchronously detects connected displays using the `ddcutil detect` command and parses the output
+ * to retrieve the display index, bus number, and model name.
+ * 
+ * @returns {Promise<Array<object>>} A promise that resolves with an array of display objects.
+ * Each display object contains the following properties:
+ *   - {number} index - The display index.
+ *   - {string} name - The display name, typically the model name.
+ *   - {number} bus - The I2C bus number used to communicate with the display.
+ *   - {string} [mfg] - The EDID manufacturer id, e.g. "DEL".
+ *   - {string} [serial] - The serial number from the EDID, if the display reports one.
+ *   - {string} id - A stable identifier made of the manufacturer, model and serial number,
+ *     e.g. "DEL:DELL U2720Q:ABC123".
+ * 
+ * @throws {Error} If the `ddcutil detect` command fails; the error is logged. Callers decide whether
+ * the user needs to be told, as it is normal on machines without ddcutil.
+ */
+async function getDisplays() {
+    const ddcutilOutput = await ddcScheduler.detect({ timeout: DDCUTIL_DETECT_TIMEOUT }).then(
+        ({ stdout, stderr, exitCode }) => {
+            if (exitCode == 0) {
+                return stdout; // Command successful, resolve with output
+            }
+            throw new CommandError(stderr);
+        }
+    ).catch((e) => {
+        global.logError("Failed to detect displays: " + e.message);
+        throw e;
+    });
+
+    let displays = []; // Array to store detected displays
+    const lines = ddcutilOutput.split("\n");
+    let currentDisplay = null;
+
+    // Completes a display's info and adds it to the list
+    const finishDisplay = (display) => {
+        if (display.name === undefined) {
+            display.name = display.fallbackName;
+        }
+        // The EDID manufacturer, model and serial number survive re-plugging, unlike the index and bus
+        let id = [display.mfg || "", display.name, display.serial || ""].join(":");
+        // Identical monitors without a serial number are told apart by their order
+        for (let n = 2; displays.some((d) => d.id === id); n++) {
+            id = `${[display.mfg || "", display.name, display.serial || ""].join(":")}#${n}`;
+        }
+        display.id = id;
+        displays.push(display);
+    };
+
+    // Parse the output from ddcutil to extract display information
+    for (const line of lines) {
+        const displayMR = line.match(/^Display (\d+)$/); // Match for display index
+
+        if (displayMR && displayMR.length === 2) {
+            const index = parseInt(displayMR[1], 10); // Extract display index
+
+            // If a display was being processed, complete its info and push it to the list
+            if (currentDisplay) {
+                finishDisplay(currentDisplay);
+            }
+
+            // Start processing a new display
+            currentDisplay = {
+                index,
+                fallbackName: displayMR[0], // Use fallback name if model is unavailable
+            };
+        } else {
+            // Continue processing the current display
+            if (currentDisplay) {
+                // Match for I2C bus number
+                const busMR = line.match(/^\s+I2C bus:\s+\/dev\/i2c-(\d+)$/);
+
+                if (busMR && busMR.length === 2 && currentDisplay.bus === undefined) {
+                    currentDisplay.bus = parseInt(busMR[1], 10); // Extract and assign the bus number
+                } else {
+                    // Match for model name
+                    const modelMR = line.match(/^\s+Model:\s+(.+)$/);
+                    const mfgMR = line.match(/^\s+Mfg id:\s+(\S+)/);
+                    const serialMR = line.match(/^\s+Serial number:\s+(.+)$/);
+
+                    if (modelMR && modelMR.length === 2 && currentDisplay.name === undefined) {
+                        currentDisplay.name = modelMR[1]; // Assign the model name if available
+                    } else if (mfgMR && mfgMR.length === 2 && currentDisplay.mfg === undefined) {
+                        currentDisplay.mfg = mfgMR[1]; // Three letter PNP id, e.g. "DEL"
+                    } else if (serialMR && serialMR.length === 2 && currentDisplay.serial === undefined) {
+                        currentDisplay.serial = serialMR[1].trim(); // Tells identical models apart
+                    }
+                }
+            } else {
+                continue; // Skip lines if no current display is being processed
+            }
+        }
+    }
+
+    // Finalize the last detected display and add it to the list
+    if (currentDisplay) {
+        finishDisplay(currentDisplay);
+    }
+
+    global.log(`Detected ${displays.length} displays.`); // Log the number of detected displays
+    return displays;
+}
+
+/**
+ * Formats a VCP feature code the way ddcutil expects it, e.g. "0a".
+ *
+ * @param {number} code - The VCP feature code.
+ * @returns {string} The two-digit hexadecimal code.
+ */
+function formatVcpCode(code) {
+    return code.toString(16).padStart(2, "0");
+}
+
+/**
+ * Whether a ddcutil failure is worth retrying: the display did not answer or answered garbage,
+ * which happens now and then on busy or slow I2C buses.
+ *
+ * @param {Error} e - The error, usually a CommandError.
+ * @returns {boolean} True for transient DDC/CI errors.
+ */
+function isTransientDdcError(e) {
+    const output = e.result ? `${e.result.stdout}\n${e.result.stderr}` : e.message;
+    return /DDCRC_(RETRIES|NULL_RESPONSE|READ_ALL_ZERO|DDC_DATA|READ_EQUALS_WRITE|BAD_BYTECT|CHECKSUM)|Maximum retries exceeded|Device or resource busy|EBUSY/i.test(output);
+}
+
+/**
+ * Parses the output of `ddcutil --terse getvcp`.
+ *
+ * @param {string} output - The command output, e.g. "VCP 10 C 50 100" or "VCP 60 SNC x0f".
+ * @returns {object|null} `current` and `max` (null for non-continuous features), or null if the
+ * output holds no value.
+ */
+function parseVcpValue(output) {
+    let matchRes = output.match(/^VCP [0-9A-Fa-f]{2} C (\d+) (\d+)/m);
+    if (matchRes) {
+        return { current: parseInt(matchRes[1], 10), max: parseInt(matchRes[2], 10) };
+    }
+    matchRes = output.match(/^VCP [0-9A-Fa-f]{2} SNC x([0-9A-Fa-f]+)/m);
+    if (matchRes) {
+        return { current: parseInt(matchRes[1], 16), max: null };
+    }
+    // Complex non-continuous values are reported as mh ml sh sl bytes; sl holds the value
+    matchRes = output.match(/^VCP [0-9A-Fa-f]{2} CNC x[0-9A-Fa-f]+ x[0-9A-Fa-f]+ x[0-9A-Fa-f]+ x([0-9A-Fa-f]+)/m);
+    if (matchRes) {
+        return { current: parseInt(matchRes[1], 16), max: null };
+    }
+    return null;
+}
+
+/**
+ * Parses the "VCP Features" part of `ddcutil capabilities`.
+ *
+ * @param {string} output - The command output.
+ * @returns {Map<number, object>} Maps each supported VCP code to its `name` and the named `values`
+ * (`{ value, name }`) listed for non-continuous features.
+ */
+function parseCapabilities(output) {
+    let features = new Map();
+    let current = null;
+    let inFeatures = false;
+    for (const line of output.split("\n")) {
+        if (/^VCP Features:/.test(line)) {
+            inFeatures = true;
+            continue;
+        }
+        if (!inFeatures) {
+            continue;
+        }
+        if (/^\S/.test(line)) {
+            break; // Next top-level block
+        }
+
+        const featureMR = line.match(/^\s+Feature:\s+([0-9A-Fa-f]{2})\s+\((.*)\)/);
+        if (featureMR) {
+            current = { name: featureMR[2], values: [] };
+            features.set(parseInt(featureMR[1], 16), current);
+            continue;
+        }
+        const valueMR = line.match(/^\s+([0-9A-Fa-f]{2}):\s+(.+)$/);
+        if (valueMR && current) {
+            current.values.push({ value: parseInt(valueMR[1], 16), name: valueMR[2].trim() });
+        }
+    }
+    return features;
+}
+
+let nmClientPromise = null;
+
+/**
+ * Returns the NetworkManager client shared by the network sections, connecting on first use.
+ *
+ * @returns {Promise<NM.Client>} A promise that resolves with the client.
+ */
+function getNMClient() {
+    if (!nmClientPromise) {
+        nmClientPromise = new Promise((resolve, reject) => {
+            NM.Client.new_async(null, (obj, result) => {
+                try {
+                    resolve(NM.Client.new_finish(result));
+                } catch (e) {
+                    nmClientPromise = null; // Try again next time
+                    reject(e);
+                }
+            });
+        });
+    }
+    return nmClientPromise;
+}
+
+/**
+ * Returns the first IP address of a device or active connection, preferring IPv4.
+ *
+ * @param {NM.Device|NM.ActiveConnection} source - Anything with an IP configuration.
+ * @returns {string|null} The address, or null if there is none.
+ */
+function getIPAddress(source) {
+    for (const config of [source.get_ip4_config(), source.get_ip6_config()]) {
+        const addresses = config ? config.get_addresses() : [];
+        const address = addresses.map((a) => a.get_address()).find((a) => !a.startsWith("fe80:"));
+        if (address) {
+            return address;
+        }
+    }
+    return null;
+}
+
+/**
+ * Calls a D-Bus method asynchronously.
+ *
+ * @param {Gio.DBusConnection} connection - The bus, e.g. `Gio.DBus.system`.
+ * @param {string} busName - The name of the service.
+ * @param {string} objectPath - The object to call the method on.
+ * @param {string} interfaceName - The interface that declares the method.
+ * @param {string} method - The method name.
+ * @param {GLib.Variant|null} parameters - The method parameters as a tuple variant.
+ * @returns {Promise<GLib.Variant>} A promise that resolves with the returned tuple.
+ */
+function callDBus(connection, busName, objectPath, interfaceName, method, parameters) {
+    return new Promise((resolve, reject) => {
+        connection.call(
+            busName,
+            objectPath,
+            interfaceName,
+            method,
+            parameters,
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (conn, result) => {
+                try {
+                    resolve(conn.call_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Creates a flat icon button styled like the settings gear buttons in the toggle row. Its hover
+ * and focus highlight comes from the theme, see stylesheet.css.
+ *
+ * @param {string} iconName - The symbolic icon to show.
+ * @param {string} tooltip - The text shown when hovering the button, also read by screen readers.
+ * @param {function} onClicked - Called when the button is clicked.
+ * @returns {St.Button} The button.
+ */
+function createIconButton(iconName, tooltip, onClicked) {
+    let button = new St.Button({
+        child: new St.Icon({
+            icon_name: iconName,
+            style_class: 'popup-menu-icon'
+        }),
+        style_class: 'popup-menu-item quicksettings-icon-button',
+        reactive: true,
+        can_focus: true,
+        track_hover: true,
+        x_expand: true,
+        accessible_name: tooltip,
+        accessible_role: Atk.Role.PUSH_BUTTON,
+    });
+
+    // Highlighted like a menu item while hovered or focused
+    const updateHighlight = () => {
+        if (button.hover || button.has_key_focus()) {
+            button.add_style_pseudo_class('active');
+        } else {
+            button.remove_style_pseudo_class('active');
+        }
+    };
+    button.connect('notify::hover', updateHighlight);
+    button.connect('key-focus-in', updateHighlight);
+    button.connect('key-focus-out', updateHighlight);
+
+    button.connect('clicked', onClicked);
+    button.tooltip = new Tooltips.Tooltip(button, tooltip);
+    return button;
+}
+
+/**
+ * Changes the icon and the tooltip of a button made by `createIconButton()`, e.g. when it toggles
+ * something.
+ *
+ * @param {St.Button} button - The button.
+ * @param {string} iconName - The symbolic icon to show.
+ * @param {string} tooltip - The text shown when hovering the button, also read by screen readers.
+ */
+function setIconButton(button, iconName, tooltip) {
+    button.child.icon_name = iconName;
+    button.tooltip.set_text(tooltip);
+    button.accessible_name = tooltip;
+}
+
+/**
+ * Lets Left and Right move the keyboard focus between the widgets of a horizontal row, such as
+ * the toggle row, wrapping around at its ends.
+ *
+ * @param {St.BoxLayout} box - The row.
+ */
+function addRowNavigation(box) {
+    box.connect('key-press-event', (actor, event) => {
+        const key = event.get_key_symbol();
+        let direction;
+        if (key === Clutter.KEY_Left) {
+            direction = St.DirectionType.LEFT;
+        } else if (key === Clutter.KEY_Right) {
+            direction = St.DirectionType.RIGHT;
+        } else {
+            return Clutter.EVENT_PROPAGATE;
+        }
+        const focus = global.stage.get_key_focus();
+        return box.navigate_focus(focus, direction, true) ? Clutter.EVENT_STOP : Clutter.EVENT_PROPAGATE;
+    });
+}
+
+/**
+ * Adds keyboard control and a spoken description to a slider. The slider handles Left and Right
+ * itself; Page Up and Page Down move it by SLIDER_PAGE_STEP, and Home and End to its ends, as if
+ * it was dragged there.
+ *
+ * @param {PopupMenu.PopupSliderMenuItem} slider - The slider.
+ * @param {function} describe - Returns what screen readers say for a slider position between 0
+ * and 1, e.g. "DELL U2720Q brightness 60 percent".
+ * @returns {PopupMenu.PopupSliderMenuItem} The slider.
+ */
+function setupSlider(slider, describe) {
+    const updateName = () => {
+        slider.actor.accessible_name = describe(slider.value);
+    };
+    slider.actor.accessible_role = Atk.Role.SLIDER;
+    slider.connect('value-changed', updateName);
+    slider.actor.connect('key-focus-in', updateName);
+    slider.actor.connect('key-press-event', (actor, event) => {
+        const key = event.get_key_symbol();
+        let value;
+        if (key === Clutter.KEY_Page_Up) {
+            value = slider.value + SLIDER_PAGE_STEP;
+        } else if (key === Clutter.KEY_Page_Down) {
+            value = slider.value - SLIDER_PAGE_STEP;
+        } else if (key === Clutter.KEY_Home) {
+            value = 0;
+        } else if (key === Clutter.KEY_End) {
+            value = 1;
+        } else {
+            return Clutter.EVENT_PROPAGATE;
+        }
+        slider.setValue(Math.max(0, Math.min(1, value)));
+        slider.emit('value-changed', slider.value);
+        slider.emit('drag-end');
+        return Clutter.EVENT_STOP;
+    });
+    updateName();
+    return slider;
+}
+
+/**
+ * Whether joining a Wi-Fi access point needs credentials.
+ *
+ * @param {NM.AccessPoint} ap - The access point.
+ * @returns {boolean} True for WEP, WPA and RSN networks.
+ */
+function isSecured(ap) {
+    return (ap.get_flags() & NM["80211ApFlags"].PRIVACY) !== 0 ||
+        ap.get_wpa_flags() !== NM["80211ApSecurityFlags"].NONE ||
+        ap.get_rsn_flags() !== NM["80211ApSecurityFlags"].NONE;
+}
+
+/**
+ * Picks the key management for a password-protected access point.
+ *
+ * @param {NM.AccessPoint} ap - The access point.
+ * @returns {string|null} "wpa-psk" or "sae", or null for networks that need more than a
+ * password (WEP, 802.1X enterprise).
+ */
+function getKeyManagement(ap) {
+    const flags = ap.get_wpa_flags() | ap.get_rsn_flags();
+    if (flags & NM["80211ApSecurityFlags"].KEY_MGMT_PSK) {
+        return "wpa-psk";
+    }
+    if (flags & NM["80211ApSecurityFlags"].KEY_MGMT_SAE) {
+        return "sae"; // WPA3 personal
+    }
+    return null;
+}
+
+/**
+ * Picks a symbolic Wi-Fi icon name for a signal strength.
+ *
+ * @param {number} strength - The signal strength in percent.
+ * @returns {string} The icon name.
+ */
+function getSignalIconName(strength) {
+    let level;
+    if (strength > 80) {
+        level = "excellent";
+    } else if (strength > 55) {
+        level = "good";
+    } else if (strength > 30) {
+        level = "ok";
+    } else if (strength > 5) {
+        level = "weak";
+    } else {
+        level = "none";
+    }
+    return `network-wireless-signal-${level}-symbolic`;
+}
+
+/**
+ * Returns the unpacked value of a cached D-Bus proxy property.
+ *
+ * @param {Gio.DBusProxy} proxy - The proxy.
+ * @param {string} name - The property name.
+ * @param {*} fallback - The value returned when the property is not cached.
+ * @returns {*} The property value.
+ */
+function getProperty(proxy, name, fallback) {
+    const value = proxy.get_cached_property(name);
+    return value ? value.deep_unpack() : fallback;
+}
+
+/**
+ * Reads the rfkill block state of all radios of one type.
+ *
+ * @param {string} type - The rfkill type, e.g. "bluetooth" or "wlan".
+ * @param {string} [root=RFKILL_ROOT] - The directory holding one subdirectory per rfkill switch.
+ * @returns {Promise<object|null>} A promise that resolves with `soft` and `hard`, each true if any
+ * radio of the type is blocked that way, or null if there is no such radio.
+ */
+async function getRfkillState(type, root = RFKILL_ROOT) {
+    return summarizeRfkill(await getRfkillDevices(root), type);
+}
+
+/**
+ * Combines the block state of all radios of one type.
+ *
+ * @param {Array<object>} devices - The radios, as returned by `getRfkillDevices()`.
+ * @param {string} type - The rfkill type, e.g. "bluetooth" or "wlan".
+ * @returns {object|null} `soft` and `hard`, each true if any radio of the type is blocked that
+ * way, or null if there is no such radio.
+ */
+function summarizeRfkill(devices, type) {
+    const radios = devices.filter((device) => device.type === type);
+    if (radios.length === 0) {
+        return null;
+    }
+    return {
+        soft: radios.some((device) => device.soft),
+        hard: radios.some((device) => device.hard),
+    };
+}
+
+/**
+ * Reads the rfkill state of every radio from sysfs, or from `rfkill list` where the sysfs class
+ * does not exist (e.g. in a container, or when `QUICKSETTINGS_RFKILL_ROOT` points elsewhere).
+ *
+ * @param {string} [root=RFKILL_ROOT] - The directory holding one subdirectory per rfkill switch.
+ * @returns {Promise<Array<object>>} A promise that resolves with the radios: `name`, `type`
+ * (e.g. "wlan"), and whether they are `soft` and `hard` blocked.
+ */
+async function getRfkillDevices(root = RFKILL_ROOT) {
+    const names = listDirectory(root);
+    if (names === null) {
+        return commandRunner.check("rfkill list").then(parseRfkillList, (e) => {
+            global.logError(`Failed to read the rfkill state: ${e.message}`);
+            return [];
+        });
+    }
+
+    let devices = [];
+    for (const name of names) {
+        try {
+            devices.push({
+                name: await readFile(`${root}/${name}/name`),
+                type: await readFile(`${root}/${name}/type`),
+                soft: (await readFile(`${root}/${name}/soft`)) === "1",
+                hard: (await readFile(`${root}/${name}/hard`)) === "1",
+            });
+        } catch (e) {
+            global.logError(`Failed to read rfkill switch ${name}: ${e}`);
+        }
+    }
+    return devices;
+}
+
+/**
+ * Parses the output of `rfkill list`:
+ *
+ *     0: phy0: Wireless LAN
+ *             Soft blocked: no
+ *             Hard blocked: yes
+ *
+ * @param {string} output - The command output.
+ * @returns {Array<object>} The radios: `name`, `type` (e.g. "wlan"), and whether they are
+ * `soft` and `hard` blocked.
+ */
+function parseRfkillList(output) {
+    let devices = [];
+    let current = null;
+    for (const line of output.split("\n")) {
+        const deviceMR = line.match(/^\d+:\s*([^:]+):\s*(.+)$/);
+        if (deviceMR) {
+            const typeName = deviceMR[2].trim();
+            current = {
+                name: deviceMR[1].trim(),
+                type: RFKILL_TYPE_NAMES[typeName] || typeName.toLowerCase(),
+                soft: false,
+                hard: false,
+            };
+            devices.push(current);
+            continue;
+        }
+        const blockMR = line.match(/^\s+(Soft|Hard) blocked:\s*(yes|no)/);
+        if (blockMR && current) {
+            current[blockMR[1].toLowerCase()] = blockMR[2] === "yes";
+        }
+    }
+    return devices;
+}
+
+/**
+ * Lists the entries of a directory, such as the devices of a sysfs class.
+ *
+ * @param {string} path - The absolute path of the directory.
+ * @returns {Array<string>|null} The entry names, or null if the directory cannot be read.
+ */
+function listDirectory(path) {
+    let names = [];
+    try {
+        const enumerator = Gio.File.new_for_path(path).enumerate_children(
+            "standard::name", Gio.FileQueryInfoFlags.NONE, null);
+        let info;
+        while ((info = enumerator.next_file(null)) !== null) {
+            names.push(info.get_name());
+        }
+        enumerator.close(null);
+    } catch (e) {
+        return null;
+    }
+    return names;
+}
+
+/**
+ * Reads a small text file (such as a sysfs attribute) asynchronously.
+ *
+ * @param {string} path - The absolute path of the file.
+ * @returns {Promise<string>} A promise that resolves with the trimmed file contents.
+ */
+function readFile(path) {
+    return new Promise((resolve, reject) => {
+        Gio.File.new_for_path(path).load_contents_async(null, (file, result) => {
+            try {
+                const [, contents] = file.load_contents_finish(result);
+                resolve(ByteArray.toString(contents).trim());
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+/**
+ * Writes a text file asynchronously, creating its directory if needed.
+ *
+ * @param {string} path - The absolute path of the file.
+ * @param {string} contents - The new file contents.
+ * @returns {Promise} A promise that resolves once the file is written.
+ */
+function writeFile(path, contents) {
+    return new Promise((resolve, reject) => {
+        const file = Gio.File.new_for_path(path);
+        try {
+            file.get_parent().make_directory_with_parents(null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                reject(e);
+                return;
+            }
+        }
+        const bytes = new GLib.Bytes(ByteArray.fromString(contents));
+        file.replace_contents_bytes_async(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null, (f, result) => {
+            try {
+                f.replace_contents_finish(result);
+                resolve();
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+/**
+ * Returns the directory Cinnamon keeps the applet's settings in: `~/.config/cinnamon/spices`
+ * on newer releases, `~/.cinnamon/configs` before.
+ *
+ * @param {string} uuid - The applet UUID.
+ * @returns {string} The absolute path of the config directory.
+ */
+function getConfigDir(uuid) {
+    const spicesDir = GLib.build_filenamev([GLib.get_user_config_dir(), "cinnamon", "spices", uuid]);
+    if (GLib.file_test(spicesDir, GLib.FileTest.IS_DIR)) {
+        return spicesDir;
+    }
+    return GLib.build_filenamev([GLib.get_home_dir(), ".cinnamon", "configs", uuid]);
+}
+
+/**
+ * Asynchronously enumerates the internal panel backlights exposed under the backlight root
+ * (`/sys/class/backlight` by default) and reads their maximum brightness. The kernel often exposes
+ * the same panel through several interfaces (e.g. `acpi_video0` and `intel_backlight`); like the
+ * settings daemon, only the preferred one is used, so the panel is not driven twice.
+ *
+ * @param {string} [root=BACKLIGHT_ROOT] - The directory holding one subdirectory per backlight device.
+ * @returns {Promise<Array<Backlight>>} A promise that resolves with the preferred backlight, or with
+ * an empty array when there is none or the root does not exist.
+ */
+async function getBacklights(root = BACKLIGHT_ROOT) {
+    const devices = listDirectory(root);
+    if (devices === null) {
+        // No backlight class at all, e.g. on a desktop
+        return [];
+    }
+
+    let backlights = [];
+    for (const device of devices) {
+        const path = `${root}/${device}`;
+        try {
+            const maxBrightness = parseInt(await readFile(`${path}/max_brightness`), 10);
+            const type = await readFile(`${path}/type`).catch(() => "raw");
+            if (isNaN(maxBrightness) || maxBrightness <= 0) {
+                continue;
+            }
+            backlights.push({ device, path, maxBrightness, type });
+        } catch (e) {
+            global.logError(`Failed to read backlight ${device}: ${e}`);
+        }
+    }
+
+    const priority = (type) => {
+        const index = BACKLIGHT_TYPE_PRIORITY.indexOf(type);
+        return index === -1 ? BACKLIGHT_TYPE_PRIORITY.length : index;
+    };
+    backlights.sort((a, b) => priority(a.type) - priority(b.type));
+
+    global.log(`Detected ${backlights.length} backlight interfaces.`);
+    return backlights.slice(0, 1).map((b) => new Backlight(
+        b.device,
+        _("Built-in Display"),
+        b.path,
+        b.maxBrightness,
+        root === DEFAULT_BACKLIGHT_ROOT
+    ));
+}
+
+/**
+ * Reads the batteries exposed under `/sys/class/power_supply`. Used when UPower is not running.
+ *
+ * @param {string} [root=POWER_SUPPLY_ROOT] - The directory holding one subdirectory per power supply.
+ * @returns {Promise<Array<object>>} A promise that resolves with device objects in the same shape
+ * as `BatterySection.getDevices()` returns.
+ */
+async function getPowerSupplies(root = POWER_SUPPLY_ROOT) {
+    const names = listDirectory(root);
+    if (names === null) {
+        return [];
+    }
+
+    // Reads an attribute of the current supply, or undefined if the driver does not expose it
+    const read = (path, attribute) => readFile(`${path}/${attribute}`).catch(() => undefined);
+    const states = {
+        "Charging": UPowerDeviceState.CHARGING,
+        "Discharging": UPowerDeviceState.DISCHARGING,
+        "Full": UPowerDeviceState.FULLY_CHARGED,
+        "Not charging": UPowerDeviceState.PENDING_CHARGE,
+    };
+
+    let devices = [];
+    for (const name of names) {
+        const path = `${root}/${name}`;
+        if ((await read(path, "type")) !== "Battery") {
+            continue;
+        }
+        const percentage = parseInt(await read(path, "capacity"), 10);
+        if (isNaN(percentage)) {
+            continue;
+        }
+        const state = states[await read(path, "status")] || UPowerDeviceState.UNKNOWN;
+
+        // energy_* is in µWh and power_now in µW; some drivers only report charge_* and current_now
+        const now = parseInt((await read(path, "energy_now")) || (await read(path, "charge_now")), 10);
+        const full = parseInt((await read(path, "energy_full")) || (await read(path, "charge_full")), 10);
+        const rate = Math.abs(parseInt((await read(path, "power_now")) || (await read(path, "current_now")), 10));
+        let timeToEmpty = 0;
+        let timeToFull = 0;
+        if (rate > 0 && state === UPowerDeviceState.DISCHARGING && !isNaN(now)) {
+            timeToEmpty = Math.round(3600 * now / rate);
+        } else if (rate > 0 && state === UPowerDeviceState.CHARGING && !isNaN(now) && !isNaN(full)) {
+            timeToFull = Math.round(3600 * (full - now) / rate);
+        }
+
+        devices.push({
+            name: (await read(path, "model_name")) || name,
+            percentage,
+            state,
+            timeToEmpty,
+            timeToFull,
+            iconName: getBatteryIconName(percentage, state),
+            // Peripherals such as wireless mice report a "Device" scope
+            peripheral: (await read(path, "scope")) === "Device",
+        });
+    }
+    return devices;
+}
+
+/**
+ * Picks a symbolic battery icon name for a charge level.
+ *
+ * @param {number} percentage - The charge level in percent.
+ * @param {number} state - The UPower device state.
+ * @returns {string} The icon name.
+ */
+function getBatteryIconName(percentage, state) {
+    let level;
+    if (percentage >= 95 || state === UPowerDeviceState.FULLY_CHARGED) {
+        level = "full";
+    } else if (percentage >= 60) {
+        level = "good";
+    } else if (percentage >= 25) {
+        level = "low";
+    } else if (percentage >= 5) {
+        level = "caution";
+    } else {
+        level = "empty";
+    }
+    const charging = state === UPowerDeviceState.CHARGING ? "-charging" : "";
+    return `battery-${level}${charging}-symbolic`;
+}
+
+/**
+ * Runs command lines one after another, stopping at the first one that fails.
+ *
+ * @param {Array<string>} commands - The command lines to run.
+ * @returns {Promise} A promise that resolves once every command has succeeded.
+ */
+function runCommands(commands) {
+    let promise = Promise.resolve();
+    commands.forEach((command) => {
+        promise = promise.then(() => commandRunner.check(command));
+    });
+    return promise;
+}
+
+/**
+ * Returns the name of the applet property a keybinding setting is bound to.
+ *
+ * @param {string} key - The setting key, e.g. "keybinding-toggle-wifi".
+ * @returns {string} The property name, e.g. "keybindingToggleWifi".
+ */
+function getBindingProperty(key) {
+    return key.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Returns the rounded average of a list of numbers.
+ *
+ * @param {Array<number>} values - The numbers; must not be empty.
+ * @returns {number} The rounded average.
+ */
+function average(values) {
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Formats a percentage the way the user's locale writes it, e.g. "60%", "60 %" or "%60".
+ *
+ * @param {number} percentage - The percentage, usually between 0 and 100.
+ * @returns {string} The formatted percentage, rounded to a whole number.
+ */
+function formatPercent(percentage) {
+    return (percentage / 100).toLocaleString(undefined, { style: "percent", maximumFractionDigits: 0 });
+}
+
+/**
+ * Formats a duration as hours and minutes, e.g. "3:07".
+ *
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Parses a time of day written as "HH:MM".
+ *
+ * @param {string} text - The time of day.
+ * @returns {number|null} The time in hours since midnight (e.g. 20.5 for "20:30"), or null if invalid.
+ */
+function parseTime(text) {
+    const matchRes = (text || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!matchRes) {
+        return null;
+    }
+    const hours = parseInt(matchRes[1], 10);
+    const minutes = parseInt(matchRes[2], 10);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours + minutes / 60;
+}
+
+/**
+ * Computes the local sunrise and sunset times for a day and location, using the NOAA solar
+ * position approximation (accurate to a couple of minutes).
+ *
+ * @param {Date} date - The day to compute the times for.
+ * @param {number} latitude - The latitude in degrees, positive north.
+ * @param {number} longitude - The longitude in degrees, positive east.
+ * @returns {object|null} The `sunrise` and `sunset` in local hours since midnight, or null during
+ * polar day or polar night.
+ */
+function getSunTimes(date, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
+    const gamma = 2 * Math.PI / 365 * (dayOfYear - 1); // Fractional year in radians
+
+    // Equation of time in minutes, and solar declination in radians
+    const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+        - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+    const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+        - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+        - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+    // Hour angle of the sun at sunrise/sunset, accounting for refraction
+    const cosHourAngle = Math.cos(90.833 * rad) / (Math.cos(latitude * rad) * Math.cos(declination))
+        - Math.tan(latitude * rad) * Math.tan(declination);
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return null;
+    }
+    const hourAngle = Math.acos(cosHourAngle) / rad;
+
+    const solarNoon = 720 - 4 * longitude - equationOfTime; // Minutes after UTC midnight
+    const utcOffset = -date.getTimezoneOffset();
+    const toLocalHours = (minutes) => ((((minutes + utcOffset) / 60) % 24) + 24) % 24;
+    return {
+        sunrise: toLocalHours(solarNoon - 4 * hourAngle),
+        sunset: toLocalHours(solarNoon + 4 * hourAngle),
+    };
 }
 
 /**